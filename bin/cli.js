@@ -1,604 +1,476 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
+const path = require('path');
+const { Command, InvalidArgumentError } = require('commander');
 const chalk = require('chalk');
-const ora = require('ora');
 const prompts = require('prompts');
-const path = require('path');
-const fs = require('fs-extra');
-const { spawn } = require('child_process');
-const validateProjectName = require('validate-npm-package-name');
+const { createProject, projectDefaults } = require('../lib/create-project');
+const { listAddons, validAddons } = require('../lib/addons');
+const { listTemplates } = require('../lib/templates');
+const { testingFrameworks } = require('../lib/testing');
+const { lintPresets } = require('../lib/linting');
+const { deployConfigs, deployTargets, getDeployInstructions } = require('../lib/deploy');
+const { applyChanges, features, planFeatures, printDiff, validFeatures } = require('../lib/add');
+const { conflictActions } = require('../lib/conflicts');
+const { packageManagers, lockfiles, detectPackageManager, detectProjectPackageManager, getInstallArgs, getRunCommand } = require('../lib/package-managers');
+const { createInstaller } = require('../lib/installer');
+const { createTransaction } = require('../lib/transaction');
+const { validThemes } = require('../lib/theme');
+const { loadConfig, printConfig, resolveOptions } = require('../lib/config');
+const { printPlan } = require('../lib/plan');
+const { printSummary, runWizard } = require('../lib/wizard');
+const { cancelledError, exitCodes, notInteractiveError, validationError } = require('../lib/errors');
+const { createOutput } = require('../lib/output');
+const { createProgress } = require('../lib/progress');
+const { printCheck, runDoctor } = require('../lib/doctor');
+const { MANIFEST_FILE } = require('../lib/manifest');
+const { appliedActions, applyUpgrade, loadManifest, planUpgrade, printUpgrade } = require('../lib/upgrade');
 
 const program = new Command();
 
+// CI services set CI, usually to true or 1
+const isCI = () => Boolean(process.env.CI) && process.env.CI !== 'false' && process.env.CI !== '0';
+
+function collectVariable(value, variables) {
+  const index = value.indexOf('=');
+  if (index <= 0) {
+    throw new InvalidArgumentError('Expected key=value.');
+  }
+  return { ...variables, [value.slice(0, index)]: value.slice(index + 1) };
+}
+
+function collectAddons(value, selected) {
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !validAddons.includes(name));
+  if (unknown.length > 0) {
+    throw new InvalidArgumentError(`Unknown add-on "${unknown[0]}". Available add-ons: ${validAddons.join(', ')}.`);
+  }
+  return [...new Set([...selected, ...names])];
+}
+
 program
   .name('create-revite')
   .description('Create React + Vite + Tailwind projects')
   .version('1.1.2')
+  // Options after `add` belong to the subcommand, e.g. its own -y and -p
+  .enablePositionalOptions()
+  // Usage errors, such as an unknown option, exit with the validation code
+  .exitOverride(error => process.exit(error.exitCode === 0 ? 0 : exitCodes.validation))
   .argument('[project-directory]', 'project directory name')
   .option('-ts, --typescript', 'use TypeScript template')
+  .option('--no-typescript', 'use JavaScript template')
+  .option('--js', 'same as --no-typescript')
+  .option('--tailwind', 'use Tailwind CSS (default)')
   .option('--no-tailwind', 'skip Tailwind CSS installation')
-  .option('-t, --template <template>', 'choose template: basic, dashboard, landing, blog', 'basic')
-  .action(async (projectDirectory, options) => {
-    try {
-      await createProject(projectDirectory, options);
-    } catch (error) {
-      console.error(chalk.red('Error creating project:'), error.message);
-      process.exit(1);
+  .option('--theme <name>', `color theme for the Tailwind tokens: ${validThemes.join(', ')}`, 'default')
+  .option('--primary <color>', 'primary color: a Tailwind palette such as violet, or a hex color (default: from the theme)')
+  .option('-t, --template <template>', 'choose template: basic, dashboard, landing, blog, or a local path, file: URL or git repository', 'basic')
+  .option('--with <add-ons>', `comma-separated add-ons: ${validAddons.join(', ')}`, collectAddons, [])
+  .option('--testing <framework>', `test setup: ${testingFrameworks.join(', ')}`, 'none')
+  .option('--lint <preset>', `lint preset: ${lintPresets.join(', ')}`, 'default')
+  .option('--git-hooks', 'lint and format staged files before each commit (husky + lint-staged)')
+  .option('--no-git-hooks', 'no pre-commit hook (default)')
+  .option('--deploy <target>', `deployment config: ${deployTargets.join(', ')}`, 'none')
+  .option('--no-git', 'skip git initialization and the initial commit')
+  .option('--var <key=value>', 'set a custom template variable (repeatable)', collectVariable, {})
+  .option('-p, --package-manager <name>', 'package manager: npm, pnpm, yarn, bun (default: the one running create-revite)')
+  .option('--use-create-vite', 'scaffold with the latest create-vite from npm instead of the bundled base templates')
+  .option('--on-conflict <action>', `what to do with existing files: ${conflictActions.join(', ')} (default: ask)`)
+  .option('--no-workspace', 'scaffold a standalone project even inside a pnpm, npm, yarn or bun workspace')
+  .option('--workspace-package <scope>', 'publish the package name under a scope, e.g. @acme/my-app')
+  .option('--workspace-tsconfig', "extend the workspace root's tsconfig.base.json (TypeScript)")
+  .option('--keep-on-failure', 'keep generated files when scaffolding fails instead of rolling back')
+  .option('--preset <name>', 'apply a named preset from ~/.reviterc or revite.config.json')
+  .option('--dry-run', 'print the files, packages and commands scaffolding would touch, without doing it')
+  .option('--json', 'print a single JSON result, or the plan with --dry-run (implies --yes)')
+  .option('--print-config', 'show the resolved options and where each value came from, then exit')
+  .option('-y, --yes', 'skip all prompts and use defaults for missing options')
+  .option('--ci', 'same as --yes')
+  .action(async (projectDirectory, options, command) => {
+    // Prompts would end up in the middle of the JSON, and without a terminal there is no one to
+    // answer them, so scripts and CI get the --yes behaviour
+    if (options.json || !process.stdin.isTTY || isCI()) {
+      options.yes = true;
     }
-  });
+    const output = createOutput({ json: options.json });
 
-async function createProject(projectDirectory, options) {
-  // Validate template option
-  const validTemplates = ['basic', 'dashboard', 'landing', 'blog'];
-  if (!validTemplates.includes(options.template)) {
-    console.error(chalk.red(`Invalid template "${options.template}". Available templates: ${validTemplates.join(', ')}`));
-    return;
-  }
+    try {
+      if (options.js) {
+        if (options.typescript === true) {
+          throw validationError('--js and --typescript cannot be used together.');
+        }
+        command.setOptionValueWithSource('typescript', false, 'cli');
+      }
+      delete options.js;
 
-  let projectName = projectDirectory;
-  let projectPath;
-
-  if (!projectDirectory || projectDirectory === '.') {
-    projectName = path.basename(process.cwd());
-    projectPath = process.cwd();
-    
-    const files = await fs.readdir(projectPath);
-    const relevantFiles = files.filter(file => !file.startsWith('.'));
-    
-    if (relevantFiles.length > 0) {
-      const response = await prompts({
-        type: 'confirm',
-        name: 'continue',
-        message: 'Current directory is not empty. Continue anyway?',
-        initial: false
+      const provided = new Set(Object.keys(options).filter(key => command.getOptionValueSource(key) === 'cli'));
+      if (projectDirectory !== undefined) {
+        provided.add('projectDirectory');
+      }
+
+      const configFiles = await loadConfig();
+      const resolved = resolveOptions({
+        options,
+        provided,
+        files: configFiles,
+        presetName: options.preset,
+        defaults: projectDefaults
       });
-      
-      if (!response.continue) {
-        console.log(chalk.yellow('Operation cancelled.'));
+
+      if (options.printConfig) {
+        printConfig(resolved, configFiles);
         return;
       }
+
+      const answers = await runWizard(projectDirectory, resolved.options, resolved.provided, resolved.defaults);
+      if (!answers) {
+        throw cancelledError();
+      }
+
+      await runCreateProject(answers.projectDirectory, answers.options, output);
+    } catch (error) {
+      output.printError(error, 'Error creating project');
+      process.exit(error.exitCode || exitCodes.failure);
     }
-  } else {
-    const validation = validateProjectName(projectDirectory);
-    if (!validation.validForNewPackages) {
-      console.error(chalk.red('Invalid project name:'));
-      validation.errors && validation.errors.forEach(err => console.error(chalk.red(`  • ${err}`)));
-      validation.warnings && validation.warnings.forEach(warn => console.error(chalk.yellow(`  • ${warn}`)));
-      return;
+  });
+
+program
+  .command('add')
+  .description('add features to an existing Vite + React project in the current directory')
+  .argument('<features...>', `features to add: ${validFeatures.join(', ')}`)
+  .option('-p, --package-manager <name>', 'package manager: npm, pnpm, yarn, bun (default: detected from the lockfile)')
+  .option('-y, --yes', 'apply the changes without asking')
+  .action(async (names, options) => {
+    const output = createOutput();
+
+    try {
+      await addFeatures(process.cwd(), names, options, output);
+    } catch (error) {
+      output.printError(error, 'Error adding features');
+      process.exit(error.exitCode || exitCodes.failure);
     }
+  });
 
-    projectPath = path.resolve(projectDirectory);
-    
-    if (await fs.pathExists(projectPath)) {
-      console.error(chalk.red(`Directory "${projectDirectory}" already exists.`));
+program
+  .command('list')
+  .description('list the built-in templates and add-ons, and the variants each supports')
+  .option('--json', 'print the templates and add-ons as JSON')
+  .action(options => {
+    const catalog = { templates: listTemplates(), addons: listAddons() };
+    if (options.json) {
+      console.log(JSON.stringify(catalog, null, 2));
       return;
     }
-  }
+    printCatalog(catalog);
+  });
 
-  console.log(chalk.blue(`Creating a new React + Vite + Tailwind app in ${chalk.green(projectPath)}`));
-  console.log(chalk.gray(`Using template: ${chalk.cyan(options.template)}`));
-  console.log();
+program
+  .command('doctor')
+  .description('check Node, package managers, git, the registry and write access before scaffolding')
+  .argument('[project-directory]', 'where the project would be created', '.')
+  .option('-p, --package-manager <name>', 'package manager to check for (default: the one running create-revite)')
+  .option('--json', 'print the checks as JSON')
+  .action(async (projectDirectory, options) => {
+    const output = createOutput({ json: options.json });
+    let checks;
 
-  const template = options.typescript ? 'react-ts' : 'react';
-  const useTailwind = options.tailwind !== false;
-  const spinner = ora('Creating Vite project...').start();
-  
-  try {
-    await createViteProject(projectPath, template, projectName);
-    spinner.succeed('Vite project created');
+    try {
+      const packageManager = options.packageManager || detectPackageManager();
+      if (!packageManagers.includes(packageManager)) {
+        throw validationError(`Invalid package manager "${packageManager}". Available package managers: ${packageManagers.join(', ')}`);
+      }
+      output.log();
+      checks = await runDoctor({ projectDirectory, packageManager }, options.json ? undefined : printCheck);
+    } catch (error) {
+      output.printError(error, 'Error running doctor');
+      process.exit(error.exitCode || exitCodes.failure);
+    }
 
-    if (useTailwind) {
-      spinner.start('Installing Tailwind CSS...');
-      await installTailwind(projectPath, options.typescript, options.template);
-      spinner.succeed('Tailwind CSS installed');
+    const problems = checks.filter(check => check.status === 'error');
+    const warnings = checks.filter(check => check.status === 'warning');
+    if (options.json) {
+      console.log(JSON.stringify({ ok: problems.length === 0, checks }, null, 2));
+    } else {
+      console.log();
+      if (problems.length > 0) {
+        console.log(chalk.red(`${problems.length} problem${problems.length === 1 ? '' : 's'} would stop a scaffold. Fix ${problems.length === 1 ? 'it' : 'them'} and run create-revite doctor again.`));
+      } else {
+        console.log(chalk.green(`Ready to scaffold${warnings.length > 0 ? `, with ${warnings.length} warning${warnings.length === 1 ? '' : 's'}` : ''}.`));
+      }
+      console.log();
+    }
+    if (problems.length > 0) {
+      process.exit(exitCodes.failure);
     }
+  });
 
-    spinner.start('Installing dependencies...');
-    await installDependencies(projectPath);
-    spinner.succeed('Dependencies installed');
+program
+  .command('upgrade')
+  .description(`re-sync a project with the current templates, using the ${MANIFEST_FILE} it was created with`)
+  .argument('[project-directory]', 'the project to upgrade', '.')
+  .option('--dry-run', 'show what would change without writing anything')
+  .option('-y, --yes', 'apply the changes without asking')
+  .action(async (projectDirectory, options) => {
+    const output = createOutput();
 
-    console.log();
-    console.log(chalk.green('Success! Created'), chalk.cyan(projectName), chalk.green('at'), chalk.cyan(projectPath));
-    console.log();
-    console.log('Inside that directory, you can run several commands:');
-    console.log();
-    console.log(chalk.cyan('  npm run dev'));
-    console.log('    Starts the development server.');
-    console.log();
-    console.log(chalk.cyan('  npm run build'));
-    console.log('    Bundles the app into static files for production.');
-    console.log();
-    console.log(chalk.cyan('  npm run preview'));
-    console.log('    Preview the production build locally.');
-    console.log();
-    console.log('We suggest that you begin by typing:');
-    console.log();
-    
-    if (projectDirectory && projectDirectory !== '.') {
-      console.log(chalk.cyan(`  cd ${projectName}`));
+    try {
+      await upgradeProject(path.resolve(projectDirectory), options, output);
+    } catch (error) {
+      output.printError(error, 'Error upgrading project');
+      process.exit(error.exitCode || exitCodes.failure);
     }
-    console.log(chalk.cyan('  npm run dev'));
-    console.log();
-    console.log(chalk.blue('Happy coding! 🚀'));
+  });
 
-  } catch (error) {
-    spinner.fail('Failed to create project');
-    throw error;
-  }
-}
+function printCatalog({ templates, addons }) {
+  const items = [...templates, ...addons];
+  const nameWidth = Math.max(...items.map(item => item.name.length)) + 2;
+  const descriptionWidth = Math.max(...items.map(item => item.description.length)) + 2;
+  const mark = supported => (supported ? chalk.green('✔') : chalk.gray('-'));
 
-async function createViteProject(projectPath, template, projectName) {
-  return new Promise((resolve, reject) => {
-    const targetName = projectPath === process.cwd() ? '.' : projectName;
-    const args = [
-      '--yes',  // Allow npx to install create-vite if not present
-      'create-vite@latest',
-      targetName,
-      '--template', template,
-      '--yes'  // Force non-interactive mode for create-vite
-    ];
-
-    const child = spawn('npx', args, {
-      stdio: 'inherit',
-      cwd: path.dirname(projectPath),
-      shell: true
+  const printSection = (title, rows) => {
+    console.log();
+    console.log(`${chalk.bold(title.padEnd(nameWidth + descriptionWidth + 2))}${chalk.gray('JS  TS  No Tailwind')}`);
+    rows.forEach(row => {
+      console.log(`  ${chalk.cyan(row.name.padEnd(nameWidth))}${row.description.padEnd(descriptionWidth)}${mark(row.javascript)}   ${mark(row.typescript)}   ${mark(row.noTailwind)}`);
     });
+  };
+  printSection('Templates', templates);
+  printSection('Add-ons', addons);
+  console.log();
+  console.log(chalk.gray('Use them with --template <name> and --with <add-ons>. --template also takes a local path or git repository.'));
+  console.log();
+}
 
-    child.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(`Vite creation failed with exit code ${code}. Please check your internet connection and try again.`));
-      } else {
-        resolve();
-      }
-    });
+// Maps the resolved command line options onto createProject() and prints what happens.
+// Ctrl+C aborts the run, which rolls back whatever was written.
+async function runCreateProject(projectDirectory, options, output) {
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.once('SIGINT', onInterrupt);
 
-    child.on('error', (error) => {
-      reject(error);
+  try {
+    const result = await createProject({
+      ...options,
+      directory: projectDirectory,
+      variables: options.var,
+      interactive: !(options.yes || options.ci),
+      stdio: output.childStdio,
+      signal: controller.signal,
+      onProgress: event => (event.type === 'start' ? printStart(event, output) : output.onProgress(event))
     });
-  });
-}
 
-function generateAppTemplate(templateType) {
-  const templates = {
-    basic: `import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
-
-function App() {
-  return (
-    <div className="min-h-screen bg-gray-100 flex items-center justify-center">
-      <div className="text-center">
-        <div className="flex justify-center space-x-4 mb-8">
-          <a href="https://vitejs.dev" target="_blank" rel="noopener noreferrer">
-            <img src={viteLogo} className="h-16 w-16 hover:animate-spin" alt="Vite logo" />
-          </a>
-          <a href="https://react.dev" target="_blank" rel="noopener noreferrer">
-            <img src={reactLogo} className="h-16 w-16 hover:animate-spin" alt="React logo" />
-          </a>
-        </div>
-        <h1 className="text-4xl font-bold text-gray-900 mb-4">
-          Welcome to <span className="text-blue-600">ReVite</span>
-        </h1>
-        <p className="text-lg text-gray-600 mb-8">
-          React + Vite + Tailwind CSS
-        </p>
-        <div className="space-x-4">
-          <button className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-200">
-            Get Started
-          </button>
-          <button className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded transition duration-200">
-            Learn More
-          </button>
-        </div>
-      </div>
-    </div>
-  )
+    if (options.dryRun) {
+      printDryRun(projectDirectory, result, options);
+      return;
+    }
+    printSuccess(projectDirectory, result, output);
+    output.printResult(result);
+  } catch (error) {
+    // e.g. a template clone killed by the same Ctrl+C
+    if (controller.signal.aborted) {
+      error.exitCode = exitCodes.interrupted;
+    }
+    throw error;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
 }
 
-export default App`,
-
-    dashboard: `function App() {
-  return (
-    <div className="min-h-screen bg-gray-50">
-      {/* Header */}
-      <header className="bg-white shadow-sm border-b border-gray-200">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex justify-between items-center py-6">
-            <div className="flex items-center">
-              <h1 className="text-2xl font-bold text-gray-900">Dashboard</h1>
-            </div>
-            <div className="flex items-center space-x-4">
-              <button className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium">
-                New Project
-              </button>
-            </div>
-          </div>
-        </div>
-      </header>
-
-      {/* Main Content */}
-      <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
-        {/* Stats */}
-        <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-3 mb-8">
-          <div className="bg-white overflow-hidden shadow rounded-lg">
-            <div className="p-5">
-              <div className="flex items-center">
-                <div className="flex-shrink-0">
-                  <div className="w-8 h-8 bg-blue-500 rounded-md flex items-center justify-center">
-                    <span className="text-white font-bold">P</span>
-                  </div>
-                </div>
-                <div className="ml-5 w-0 flex-1">
-                  <dl>
-                    <dt className="text-sm font-medium text-gray-500 truncate">Total Projects</dt>
-                    <dd className="text-lg font-medium text-gray-900">12</dd>
-                  </dl>
-                </div>
-              </div>
-            </div>
-          </div>
-          <div className="bg-white overflow-hidden shadow rounded-lg">
-            <div className="p-5">
-              <div className="flex items-center">
-                <div className="flex-shrink-0">
-                  <div className="w-8 h-8 bg-green-500 rounded-md flex items-center justify-center">
-                    <span className="text-white font-bold">A</span>
-                  </div>
-                </div>
-                <div className="ml-5 w-0 flex-1">
-                  <dl>
-                    <dt className="text-sm font-medium text-gray-500 truncate">Active</dt>
-                    <dd className="text-lg font-medium text-gray-900">8</dd>
-                  </dl>
-                </div>
-              </div>
-            </div>
-          </div>
-          <div className="bg-white overflow-hidden shadow rounded-lg">
-            <div className="p-5">
-              <div className="flex items-center">
-                <div className="flex-shrink-0">
-                  <div className="w-8 h-8 bg-yellow-500 rounded-md flex items-center justify-center">
-                    <span className="text-white font-bold">C</span>
-                  </div>
-                </div>
-                <div className="ml-5 w-0 flex-1">
-                  <dl>
-                    <dt className="text-sm font-medium text-gray-500 truncate">Completed</dt>
-                    <dd className="text-lg font-medium text-gray-900">4</dd>
-                  </dl>
-                </div>
-              </div>
-            </div>
-          </div>
-        </div>
-
-        {/* Content Area */}
-        <div className="bg-white shadow rounded-lg">
-          <div className="px-4 py-5 sm:p-6">
-            <h3 className="text-lg leading-6 font-medium text-gray-900 mb-4">Recent Activity</h3>
-            <div className="space-y-4">
-              <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-                <div>
-                  <p className="text-sm font-medium text-gray-900">Project Alpha</p>
-                  <p className="text-sm text-gray-500">Updated 2 hours ago</p>
-                </div>
-                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
-                  Active
-                </span>
-              </div>
-              <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-                <div>
-                  <p className="text-sm font-medium text-gray-900">Project Beta</p>
-                  <p className="text-sm text-gray-500">Updated 1 day ago</p>
-                </div>
-                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
-                  In Progress
-                </span>
-              </div>
-            </div>
-          </div>
-        </div>
-      </main>
-    </div>
-  )
-}
+function printDryRun(projectDirectory, plan, options) {
+  if (options.json) {
+    console.log(JSON.stringify(plan, null, 2));
+    return;
+  }
 
-export default App`,
-
-    landing: `function App() {
-  return (
-    <div className="min-h-screen bg-white">
-      {/* Navigation */}
-      <nav className="bg-white shadow-sm">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="flex justify-between items-center py-6">
-            <div className="flex items-center">
-              <span className="text-2xl font-bold text-blue-600">ReVite</span>
-            </div>
-            <div className="hidden md:flex items-center space-x-8">
-              <a href="#features" className="text-gray-500 hover:text-gray-900">Features</a>
-              <a href="#pricing" className="text-gray-500 hover:text-gray-900">Pricing</a>
-              <a href="#about" className="text-gray-500 hover:text-gray-900">About</a>
-              <button className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md">
-                Get Started
-              </button>
-            </div>
-          </div>
-        </div>
-      </nav>
-
-      {/* Hero Section */}
-      <section className="bg-gradient-to-br from-blue-50 to-indigo-100">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-24">
-          <div className="text-center">
-            <h1 className="text-4xl tracking-tight font-extrabold text-gray-900 sm:text-5xl md:text-6xl">
-              <span className="block">Build faster with</span>
-              <span className="block text-blue-600">React + Vite + Tailwind</span>
-            </h1>
-            <p className="mt-3 max-w-md mx-auto text-base text-gray-500 sm:text-lg md:mt-5 md:text-xl md:max-w-3xl">
-              Create modern React applications with the power of Vite and the beauty of Tailwind CSS. 
-              Get started in seconds, not hours.
-            </p>
-            <div className="mt-5 max-w-md mx-auto sm:flex sm:justify-center md:mt-8">
-              <div className="rounded-md shadow">
-                <button className="w-full flex items-center justify-center px-8 py-3 border border-transparent text-base font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 md:py-4 md:text-lg md:px-10">
-                  Get Started
-                </button>
-              </div>
-              <div className="mt-3 rounded-md shadow sm:mt-0 sm:ml-3">
-                <button className="w-full flex items-center justify-center px-8 py-3 border border-transparent text-base font-medium rounded-md text-blue-600 bg-white hover:bg-gray-50 md:py-4 md:text-lg md:px-10">
-                  Learn More
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
-      </section>
-
-      {/* Features Section */}
-      <section id="features" className="h-[45vh] flex items-center justify-center py-16 bg-white">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className="text-center">
-            <h2 className="text-3xl font-extrabold text-gray-900">Features</h2>
-            <p className="mt-4 text-lg text-gray-500">Everything you need to build modern web applications</p>
-          </div>
-          <div className="mt-12 grid grid-cols-1 gap-8 sm:grid-cols-2 lg:grid-cols-3">
-            <div className="text-center">
-              <div className="flex items-center justify-center h-12 w-12 rounded-md bg-blue-500 text-white mx-auto">
-                <span className="font-bold">⚡</span>
-              </div>
-              <h3 className="mt-4 text-lg font-medium text-gray-900">Lightning Fast</h3>
-              <p className="mt-2 text-base text-gray-500">Powered by Vite for instant hot reload and optimized builds</p>
-            </div>
-            <div className="text-center">
-              <div className="flex items-center justify-center h-12 w-12 rounded-md bg-blue-500 text-white mx-auto">
-                <span className="font-bold">🎨</span>
-              </div>
-              <h3 className="mt-4 text-lg font-medium text-gray-900">Beautiful Design</h3>
-              <p className="mt-2 text-base text-gray-500">Tailwind CSS for rapid UI development and consistent styling</p>
-            </div>
-            <div className="text-center">
-              <div className="flex items-center justify-center h-12 w-12 rounded-md bg-blue-500 text-white mx-auto">
-                <span className="font-bold">⚛️</span>
-              </div>
-              <h3 className="mt-4 text-lg font-medium text-gray-900">Modern React</h3>
-              <p className="mt-2 text-base text-gray-500">Latest React features with TypeScript support</p>
-            </div>
-          </div>
-        </div>
-      </section>
-
-      {/* Footer */}
-      <footer className="bg-gray-50 mt-2">
-        <div className="max-w-7xl mx-auto py-12 px-4 sm:px-6 lg:px-8">
-          <div className="text-center text-gray-500">
-            <p>&copy; 2024 ReVite. Built with React + Vite + Tailwind CSS.</p>
-          </div>
-        </div>
-      </footer>
-    </div>
-  )
+  console.log(chalk.blue(`Dry run: nothing will be written to ${chalk.green(plan.projectPath)}`));
+  printSummary(projectDirectory, plan.options);
+  printPlan(plan);
 }
 
-export default App`,
-
-    blog: `function App() {
-  const posts = [
-    {
-      id: 1,
-      title: "Getting Started with React + Vite + Tailwind",
-      excerpt: "Learn how to build modern web applications with this powerful combination of tools.",
-      date: "Mar 16, 2024",
-      readTime: "5 min read"
-    },
-    {
-      id: 2,
-      title: "Advanced Tailwind CSS Techniques",
-      excerpt: "Discover advanced patterns and techniques for building beautiful UIs with Tailwind CSS.",
-      date: "Mar 12, 2024",
-      readTime: "8 min read"
-    },
-    {
-      id: 3,
-      title: "Vite: The Next Generation Build Tool",
-      excerpt: "Why Vite is revolutionizing the way we build and develop web applications.",
-      date: "Mar 8, 2024",
-      readTime: "6 min read"
-    }
-  ];
-
-  return (
-    <div className="min-h-screen bg-gray-50">
-      {/* Header */}
-      <header className="bg-white shadow-sm">
-        <div className="max-w-4xl mx-auto h-[80px] flex items-center justify-between px-4 sm:px-6 lg:px-8 ">
-          <div>
-            <h1 className="text-3xl font-bold text-gray-900">My Blog</h1>
-          </div>
-          <nav className="hidden md:flex space-x-8">
-            <a href="#" className="text-gray-500 hover:text-gray-900">Home</a>
-            <a href="#" className="text-gray-500 hover:text-gray-900">About</a>
-            <a href="#" className="text-gray-500 hover:text-gray-900">Contact</a>
-          </nav>
-        </div>
-      </header>
-
-      {/* Main Content */}
-      <main className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-12 h-[calc(100vh-233px)]">
-        {/* Featured Post */}
-        <article className="bg-white rounded-lg shadow-sm overflow-hidden mb-12">
-          <div className="p-8">
-            <div className="flex items-center text-sm text-gray-500 mb-4">
-              <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs font-medium mr-3">
-                Featured
-              </span>
-              <span>Mar 16, 2024</span>
-              <span className="mx-2">•</span>
-              <span>5 min read</span>
-            </div>
-            <h2 className="text-3xl font-bold text-gray-900 mb-4">
-              Getting Started with React + Vite + Tailwind
-            </h2>
-            <p className="text-gray-600 text-lg mb-6">
-              Learn how to build modern web applications with this powerful combination of tools. 
-              We'll cover everything from setup to deployment, including best practices and common patterns.
-            </p>
-            <button className="text-blue-600 hover:text-blue-800 font-medium">
-              Read more →
-            </button>
-          </div>
-        </article>
-
-        {/* Blog Posts Grid */}
-        <div className="grid gap-8 md:grid-cols-2">
-          {posts.slice(1).map((post) => (
-            <article key={post.id} className="bg-white rounded-lg shadow-sm overflow-hidden">
-              <div className="p-6">
-                <div className="flex items-center text-sm text-gray-500 mb-3">
-                  <span>{post.date}</span>
-                  <span className="mx-2">•</span>
-                  <span>{post.readTime}</span>
-                </div>
-                <h3 className="text-xl font-semibold text-gray-900 mb-3">
-                  {post.title}
-                </h3>
-                <p className="text-gray-600 mb-4">
-                  {post.excerpt}
-                </p>
-                <button className="text-blue-600 hover:text-blue-800 font-medium text-sm">
-                  Read more →
-                </button>
-              </div>
-            </article>
-          ))}
-        </div>
-
-        {/* Newsletter Signup */}
-        <div className="bg-blue-50 rounded-lg p-8 mt-12 text-center">
-          <h3 className="text-2xl font-bold text-gray-900 mb-4">Stay Updated</h3>
-          <p className="text-gray-600 mb-6">Get the latest posts delivered right to your inbox</p>
-          <div className="max-w-md mx-auto flex gap-4">
-            <input
-              type="email"
-              placeholder="Enter your email"
-              className="flex-1 px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-            />
-            <button className="bg-blue-600 hover:bg-blue-700 text-white px-6 py-2 rounded-md font-medium">
-              Subscribe
-            </button>
-          </div>
-        </div>
-      </main>
-
-      {/* Footer */}
-      <footer className="bg-white border-t border-gray-200 mt-16 h-[80px]">
-        <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-          <div className="text-center text-gray-500">
-            <p>&copy; 2024 My Blog. Built with React + Vite + Tailwind CSS.</p>
-          </div>
-        </div>
-      </footer>
-    </div>
-  )
+function printStart({ projectPath, options }, output) {
+  output.log(chalk.blue(`Creating a new React + Vite + Tailwind app in ${chalk.green(projectPath)}`));
+  output.log(chalk.gray(`Using template: ${chalk.cyan(options.template)}`));
+  output.log();
 }
 
-export default App`
-  };
+function printSuccess(projectDirectory, { projectName, packageName, projectPath, options }, output) {
+  const { packageManager } = options;
+  const deployInstructions = getDeployInstructions(options.deploy, { packageManager, projectName, packageName });
+
+  output.log();
+  output.log(chalk.green('Success! Created'), chalk.cyan(projectName), chalk.green('at'), chalk.cyan(projectPath));
+  output.log();
+  output.log('Inside that directory, you can run several commands:');
+  output.log();
+  output.log(chalk.cyan(`  ${getRunCommand(packageManager, 'dev')}`));
+  output.log('    Starts the development server.');
+  output.log();
+  output.log(chalk.cyan(`  ${getRunCommand(packageManager, 'build')}`));
+  output.log('    Bundles the app into static files for production.');
+  output.log();
+  output.log(chalk.cyan(`  ${getRunCommand(packageManager, 'preview')}`));
+  output.log('    Preview the production build locally.');
+  output.log();
+  if (deployInstructions.length > 0) {
+    output.log(`To deploy to ${deployConfigs[options.deploy].label}:`);
+    output.log();
+    deployInstructions.forEach(({ command, description }) => {
+      output.log(chalk.cyan(`  ${command}`));
+      output.log(`    ${description}`);
+      output.log();
+    });
+  }
+  output.log('We suggest that you begin by typing:');
+  output.log();
 
-  return templates[templateType] || templates.basic;
+  if (projectDirectory && projectDirectory !== '.') {
+    output.log(chalk.cyan(`  cd ${projectDirectory}`));
+  }
+  output.log(chalk.cyan(`  ${getRunCommand(packageManager, 'dev')}`));
+  output.log();
+  output.log(chalk.blue('Happy coding! 🚀'));
 }
 
-async function installTailwind(projectPath, isTypeScript, templateType = 'basic') {
-  await runCommand('npm', ['install', 'tailwindcss', '@tailwindcss/vite'], projectPath);
-
-  const viteConfigFile = isTypeScript ? 'vite.config.ts' : 'vite.config.js';
-  const viteConfigPath = path.join(projectPath, viteConfigFile);
-  
-  let viteConfig = await fs.readFile(viteConfigPath, 'utf-8');
-  
-  if (isTypeScript) {
-    viteConfig = viteConfig.replace(
-      "import { defineConfig } from 'vite'",
-      "import { defineConfig } from 'vite'\nimport tailwindcss from '@tailwindcss/vite'"
-    );
-  } else {
-    viteConfig = viteConfig.replace(
-      "import { defineConfig } from 'vite'",
-      "import { defineConfig } from 'vite'\nimport tailwindcss from '@tailwindcss/vite'"
-    );
+async function addFeatures(projectPath, names, options, output) {
+  const unknown = names.filter(name => !validFeatures.includes(name));
+  if (unknown.length > 0) {
+    throw validationError(`Unknown feature "${unknown[0]}". Available features: ${validFeatures.join(', ')}`);
   }
-  
-  viteConfig = viteConfig.replace(
-    'plugins: [react()]',
-    'plugins: [react(), tailwindcss()]'
-  );
-  
-  await fs.writeFile(viteConfigPath, viteConfig);
-
-  const cssPath = path.join(projectPath, 'src/index.css');
-  const tailwindImports = '@import "tailwindcss";\n';
-  
-  await fs.writeFile(cssPath, tailwindImports);
-
-  const appFile = isTypeScript ? 'App.tsx' : 'App.jsx';
-  const appPath = path.join(projectPath, 'src', appFile);
-  
-  const appContent = generateAppTemplate(templateType);
-
-  await fs.writeFile(appPath, appContent);
-
-  const appCssPath = path.join(projectPath, 'src/App.css');
-  if (await fs.pathExists(appCssPath)) {
-    await fs.remove(appCssPath);
+
+  const packageManager = options.packageManager || await detectProjectPackageManager(projectPath);
+  if (!packageManagers.includes(packageManager)) {
+    throw validationError(`Invalid package manager "${packageManager}". Available package managers: ${packageManagers.join(', ')}`);
   }
-}
 
-async function installDependencies(projectPath) {
-  return runCommand('npm', ['install'], projectPath);
-}
+  const plan = await planFeatures(projectPath, names);
+  plan.skipped.forEach(name => output.log(chalk.yellow(`Skipping ${name}: it is already set up in this project.`)));
+  if (plan.added.length === 0) {
+    output.log('Nothing to add.');
+    return;
+  }
+
+  output.log(chalk.blue(`Adding ${plan.added.join(', ')} to ${chalk.green(projectPath)} (${plan.project.typescript ? 'TypeScript' : 'JavaScript'})`));
+  output.log();
+  printDiff(plan.changes);
+  if (plan.packages.length > 0) {
+    output.log(`${chalk.bold('Packages to install:')} ${plan.packages.join(', ')}`);
+    output.log();
+  }
 
-async function runCommand(command, args, cwd) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, args, {
-      cwd: cwd,
-      shell: true,
-      stdio: 'inherit',
-      env: { ...process.env }
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      throw notInteractiveError('to apply these changes', 'Run it again with --yes to apply them.');
+    }
+    const { confirmed } = await prompts({
+      type: 'confirm',
+      name: 'confirmed',
+      message: 'Apply these changes?',
+      initial: true
     });
+    if (!confirmed) {
+      throw cancelledError();
+    }
+  }
 
-    child.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(`Command "${command} ${args.join(' ')}" failed with exit code ${code}`));
-      } else {
-        resolve();
-      }
+  const transaction = createTransaction(projectPath);
+  await transaction.begin();
+  await transaction.track([...plan.changes.map(change => change.path), 'package.json', ...Object.values(lockfiles).flat()]);
+  const installer = createInstaller({ projectPath, packageManager });
+  const progress = createProgress(output.onProgress);
+
+  try {
+    await progress.step('write', 'Writing files...', () => applyChanges(projectPath, plan.changes), {
+      done: `Updated ${plan.changes.length} file${plan.changes.length === 1 ? '' : 's'}`
     });
 
-    child.on('error', (error) => {
-      reject(error);
+    if (plan.needsInstall) {
+      await progress.step('install', 'Installing dependencies...', () => installer.install(), {
+        done: 'Dependencies installed'
+      });
+    }
+    if (plan.packages.length > 0) {
+      await progress.step('add-packages', `Installing ${plan.packages.join(', ')}...`, () => installer.add(plan.packages), {
+        done: `Installed ${plan.packages.join(', ')}`
+      });
+    }
+  } catch (error) {
+    await progress.step('rollback', 'Rolling back changes...', () => transaction.rollback(), {
+      done: 'Restored files changed by create-revite'
     });
+    throw error;
+  }
+
+  output.log();
+  output.log(chalk.green('Added'), chalk.cyan(plan.added.join(', ')));
+  plan.added.forEach(name => output.log(chalk.gray(`  ${name}: ${features[name].description}`)));
+}
+
+async function upgradeProject(projectPath, options, output) {
+  const manifest = await loadManifest(projectPath);
+  const progress = createProgress(output.onProgress);
+  const plan = await progress.step('regenerate', `Regenerating ${manifest.template} with the current templates...`, () => planUpgrade(projectPath, manifest), {
+    done: result => `Regenerated ${manifest.template} with create-revite ${result.to}`
   });
+
+  try {
+    const applicable = plan.changes.filter(change => appliedActions.includes(change.action));
+    const conflicts = plan.changes.filter(change => change.action === 'conflict');
+
+    output.log(chalk.blue(`Upgrading ${chalk.green(projectPath)} from create-revite ${plan.from} to ${plan.to}`));
+    output.log();
+    if (plan.changes.length === 0) {
+      output.log('Already up to date.');
+    } else {
+      printUpgrade(plan);
+    }
+    if (options.dryRun || (applicable.length === 0 && plan.from === plan.to)) {
+      return;
+    }
+
+    if (applicable.length > 0 && !options.yes) {
+      if (!process.stdin.isTTY) {
+        throw notInteractiveError('to apply these changes', 'Run it again with --yes to apply them.');
+      }
+      const { confirmed } = await prompts({
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Apply ${applicable.length} change${applicable.length === 1 ? '' : 's'}${conflicts.length > 0 ? ' and leave the conflicts as they are' : ''}?`,
+        initial: true
+      });
+      if (!confirmed) {
+        throw cancelledError();
+      }
+    }
+
+    const transaction = createTransaction(projectPath);
+    await transaction.begin();
+    await transaction.track([...applicable.map(change => change.path), MANIFEST_FILE]);
+    try {
+      await progress.step('write', 'Writing files...', () => applyUpgrade(projectPath, plan), {
+        done: `Updated ${applicable.length} file${applicable.length === 1 ? '' : 's'} and ${MANIFEST_FILE}`
+      });
+    } catch (error) {
+      await progress.step('rollback', 'Rolling back changes...', () => transaction.rollback(), {
+        done: 'Restored files changed by create-revite'
+      });
+      throw error;
+    }
+
+    output.log();
+    if (conflicts.length > 0) {
+      output.log(chalk.yellow(`Left ${conflicts.length} conflicting file${conflicts.length === 1 ? '' : 's'} as ${conflicts.length === 1 ? 'it is' : 'they are'}: ${conflicts.map(change => change.path).join(', ')}`));
+      if (conflicts.some(change => change.original)) {
+        output.log(chalk.yellow('Apply the template changes shown above by hand.'));
+      }
+    }
+    if (applicable.some(change => change.path === 'package.json')) {
+      const { packageManager } = plan.manifest.options;
+      output.log(`package.json changed. Run ${chalk.cyan([packageManager, ...getInstallArgs(packageManager)].join(' '))} to update node_modules.`);
+    }
+    output.log(chalk.green(`Upgraded to create-revite ${plan.to}.`));
+  } finally {
+    await plan.cleanup();
+  }
 }
 
-program.parse();
\ No newline at end of file
+program.parse();
@@ -0,0 +1,25 @@
+// The Node API, for creating projects from other tools. bin/cli.js is a thin wrapper around it.
+const { createProject } = require('./lib/create-project');
+const { generateAppTemplate, listTemplates, validTemplates } = require('./lib/templates');
+const { listAddons, validAddons } = require('./lib/addons');
+const { testingFrameworks } = require('./lib/testing');
+const { lintPresets } = require('./lib/linting');
+const { packageManagers } = require('./lib/package-managers');
+const { themes } = require('./lib/theme');
+const { deployTargets } = require('./lib/deploy');
+const { exitCodes } = require('./lib/errors');
+
+module.exports = {
+  createProject,
+  deployTargets,
+  exitCodes,
+  generateAppTemplate,
+  lintPresets,
+  listAddons,
+  listTemplates,
+  packageManagers,
+  testingFrameworks,
+  themes,
+  validAddons,
+  validTemplates
+};
@@ -0,0 +1,196 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { structuredPatch } = require('diff');
+const { addons, getAddonFiles, isAddonIncluded, needsWiring, validAddons, wireAddons } = require('./addons');
+const { findMainEntry, transformMainEntry } = require('./main-entry');
+const { findViteConfig, transformViteConfig } = require('./vite-config');
+const { configureVitest, getTestingFiles, vitestPackage } = require('./testing');
+const { addTailwindImport, configureTailwind, tailwindPackages } = require('./tailwind');
+const { mergePackageFields } = require('./templates');
+const { validationError } = require('./errors');
+
+function hasDependency(project, name) {
+  const { dependencies = {}, devDependencies = {} } = project.packageJson;
+  return dependencies[name] !== undefined || devDependencies[name] !== undefined;
+}
+
+async function planAddon(name, draft, project) {
+  await draft.writeAll(await getAddonFiles([name], project));
+  await draft.mergePackageJson({ dependencies: addons[name].dependencies });
+  if (needsWiring([name])) {
+    if (!project.mainEntry) {
+      throw new Error(`${name} is wired into src/main.jsx or src/main.tsx, but neither exists.`);
+    }
+    await draft.edit(project.mainEntry, source => transformMainEntry(source, main => wireAddons(main, [name], project), project.mainEntry));
+  }
+}
+
+// Features `create-revite add` can set up in an existing project. `isPresent` decides whether
+// there is anything to do; `plan` records its edits on a draft instead of writing them.
+const features = {
+  tailwind: {
+    description: 'Tailwind CSS with the Vite plugin',
+    isPresent: project => hasDependency(project, 'tailwindcss'),
+    async plan(draft, project) {
+      await draft.edit(project.viteConfig, source => transformViteConfig(source, configureTailwind, project.viteConfig));
+      await draft.edit('src/index.css', source => addTailwindImport(source || ''));
+      draft.addPackages(tailwindPackages);
+    }
+  },
+  vitest: {
+    description: 'Vitest and Testing Library with a setup file',
+    isPresent: project => hasDependency(project, 'vitest'),
+    async plan(draft, project) {
+      await draft.writeAll(await getTestingFiles(null, project));
+      await draft.mergePackageJson(vitestPackage);
+      await draft.edit(project.viteConfig, source => transformViteConfig(source, config => configureVitest(config, project), project.viteConfig));
+    }
+  },
+  ...Object.fromEntries(validAddons.map(name => [name, {
+    description: addons[name].description,
+    isPresent: project => isAddonIncluded(name, project.packageJson),
+    plan: (draft, project) => planAddon(name, draft, project)
+  }]))
+};
+
+const validFeatures = Object.keys(features);
+
+async function inspectProject(projectPath) {
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  if (!(await fs.pathExists(packageJsonPath))) {
+    throw validationError(`No package.json found in ${projectPath}. Run create-revite add inside a Vite project.`);
+  }
+
+  const viteConfigPath = await findViteConfig(projectPath);
+  if (!viteConfigPath) {
+    throw validationError(`No vite.config file found in ${projectPath}. create-revite add only works with Vite projects.`);
+  }
+
+  const mainEntryPath = await findMainEntry(projectPath);
+  const typescript = mainEntryPath
+    ? mainEntryPath.endsWith('.tsx')
+    : await fs.pathExists(path.join(projectPath, 'tsconfig.json'));
+
+  return {
+    packageJson: await fs.readJson(packageJsonPath),
+    typescript,
+    viteConfig: path.relative(projectPath, viteConfigPath),
+    mainEntry: mainEntryPath ? path.relative(projectPath, mainEntryPath) : null
+  };
+}
+
+// Collects edits in memory, on top of the files on disk, so they can be shown before anything is written
+function createDraft(projectPath) {
+  const originals = new Map();
+  const contents = new Map();
+  const packages = [];
+
+  async function read(relativePath) {
+    if (contents.has(relativePath)) {
+      return contents.get(relativePath);
+    }
+    const filePath = path.join(projectPath, relativePath);
+    const content = (await fs.pathExists(filePath)) ? await fs.readFile(filePath, 'utf-8') : null;
+    originals.set(relativePath, content);
+    contents.set(relativePath, content);
+    return content;
+  }
+
+  async function edit(relativePath, update) {
+    contents.set(relativePath, update(await read(relativePath)));
+  }
+
+  async function writeAll(files) {
+    for (const relativePath of Object.keys(files)) {
+      await edit(relativePath, () => files[relativePath]);
+    }
+  }
+
+  async function mergePackageJson(fields) {
+    await edit('package.json', source => `${JSON.stringify(mergePackageFields(JSON.parse(source), fields), null, 2)}\n`);
+  }
+
+  function addPackages(names) {
+    names.forEach(name => {
+      if (!packages.includes(name)) {
+        packages.push(name);
+      }
+    });
+  }
+
+  // Files whose content would change, with their content before (null for new files) and after
+  function getChanges() {
+    return [...contents.keys()]
+      .filter(relativePath => contents.get(relativePath) !== originals.get(relativePath))
+      .map(relativePath => ({ path: relativePath, before: originals.get(relativePath), after: contents.get(relativePath) }));
+  }
+
+  return {
+    addPackages,
+    edit,
+    getChanges,
+    mergePackageJson,
+    packages,
+    writeAll
+  };
+}
+
+// Works out everything adding `names` would change. Features the project already has are skipped.
+async function planFeatures(projectPath, names) {
+  const project = await inspectProject(projectPath);
+  const draft = createDraft(projectPath);
+  const selected = validFeatures.filter(name => names.includes(name));
+
+  const skipped = selected.filter(name => features[name].isPresent(project));
+  const added = selected.filter(name => !skipped.includes(name));
+  for (const name of added) {
+    await features[name].plan(draft, project);
+  }
+
+  const changes = draft.getChanges();
+  return {
+    project,
+    added,
+    skipped,
+    changes,
+    packages: draft.packages,
+    // New entries in package.json still have to be installed
+    needsInstall: changes.some(change => change.path === 'package.json')
+  };
+}
+
+async function applyChanges(projectPath, changes) {
+  for (const change of changes) {
+    await fs.outputFile(path.join(projectPath, change.path), change.after);
+  }
+}
+
+function printDiff(changes) {
+  changes.forEach(change => {
+    console.log(chalk.bold(`${change.before === null ? 'new file' : 'modified'}: ${change.path}`));
+
+    const patch = structuredPatch(change.path, change.path, change.before || '', change.after, '', '', { context: 3 });
+    patch.hunks.forEach(hunk => {
+      console.log(chalk.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`));
+      hunk.lines.forEach(line => {
+        if (line.startsWith('+')) {
+          console.log(chalk.green(line));
+        } else if (line.startsWith('-')) {
+          console.log(chalk.red(line));
+        } else {
+          console.log(chalk.gray(line));
+        }
+      });
+    });
+    console.log();
+  });
+}
+
+module.exports = {
+  applyChanges,
+  features,
+  planFeatures,
+  printDiff,
+  validFeatures
+};
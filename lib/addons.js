@@ -0,0 +1,123 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { TEMPLATES_DIR } = require('./scaffold');
+const { mergePackageJson, readTree, writeFiles } = require('./templates');
+const { updateMainEntry } = require('./main-entry');
+
+const ADDONS_DIR = path.join(TEMPLATES_DIR, 'addons');
+
+// Applied in this order, so providers nest the same way whatever order --with lists them in.
+// `wire` edits src/main.jsx/tsx; `jsx` and `script` are the file extensions for the chosen language.
+const addons = {
+  router: {
+    description: 'React Router with a createBrowserRouter setup',
+    dependencies: { 'react-router': '^7.9.4' },
+    wire(main, { jsx }) {
+      main.addImport({ from: 'react-router', imported: 'RouterProvider', local: 'RouterProvider' });
+      main.addImport({ from: `./router.${jsx}`, imported: 'router', local: 'router' });
+      main.replaceApp('<RouterProvider router={router} />');
+    }
+  },
+  zustand: {
+    description: 'Zustand store for global state',
+    dependencies: { zustand: '^5.0.15' }
+  },
+  'redux-toolkit': {
+    description: 'Redux Toolkit store with an example slice',
+    dependencies: { '@reduxjs/toolkit': '^2.13.0', 'react-redux': '^9.3.0' },
+    wire(main, { script }) {
+      main.addImport({ from: 'react-redux', imported: 'Provider', local: 'Provider' });
+      main.addImport({ from: `./store/index.${script}`, imported: 'store', local: 'store' });
+      main.wrapApp('Provider', 'store={store}');
+    }
+  },
+  'tanstack-query': {
+    description: 'TanStack Query client for data fetching',
+    dependencies: { '@tanstack/react-query': '^5.104.0' },
+    wire(main, { script }) {
+      main.addImport({ from: '@tanstack/react-query', imported: 'QueryClientProvider', local: 'QueryClientProvider' });
+      main.addImport({ from: `./lib/queryClient.${script}`, imported: 'queryClient', local: 'queryClient' });
+      main.wrapApp('QueryClientProvider', 'client={queryClient}');
+    }
+  },
+  'react-hook-form': {
+    description: 'React Hook Form with an example form',
+    dependencies: { 'react-hook-form': '^7.89.0' }
+  }
+};
+
+const validAddons = Object.keys(addons);
+
+// A template that already depends on everything an add-on installs (e.g. the routed templates
+// and `router`) sets it up itself, so adding it again would only clash
+function isAddonIncluded(name, manifest = {}) {
+  const dependencies = manifest.dependencies || {};
+  return Object.keys(addons[name].dependencies).every(dependency => dependencies[dependency] !== undefined);
+}
+
+// The add-ons and the languages they have files for. None of them is styled, so all of them
+// work without Tailwind.
+function listAddons() {
+  return validAddons.map(name => {
+    const dir = path.join(ADDONS_DIR, name);
+    const languages = fs.pathExistsSync(dir) ? fs.readdirSync(dir) : ['js', 'ts'];
+    return {
+      name,
+      description: addons[name].description,
+      javascript: languages.includes('js'),
+      typescript: languages.includes('ts'),
+      noTailwind: true
+    };
+  });
+}
+
+function sortAddons(names) {
+  return validAddons.filter(name => names.includes(name));
+}
+
+async function getAddonFiles(names, { typescript = false } = {}) {
+  const files = {};
+  for (const name of sortAddons(names)) {
+    const dir = path.join(ADDONS_DIR, name, typescript ? 'ts' : 'js');
+    if (await fs.pathExists(dir)) {
+      Object.assign(files, await readTree(dir));
+    }
+  }
+  return files;
+}
+
+function needsWiring(names) {
+  return names.some(name => addons[name].wire);
+}
+
+// Editor callback for updateMainEntry()/transformMainEntry()
+function wireAddons(main, names, { typescript = false } = {}) {
+  const extensions = typescript ? { jsx: 'tsx', script: 'ts' } : { jsx: 'jsx', script: 'js' };
+  sortAddons(names)
+    .filter(name => addons[name].wire)
+    .forEach(name => addons[name].wire(main, extensions));
+}
+
+async function applyAddons(projectPath, names, options = {}) {
+  const selected = sortAddons(names);
+  await writeFiles(projectPath, await getAddonFiles(selected, options));
+
+  for (const name of selected) {
+    await mergePackageJson(projectPath, { dependencies: addons[name].dependencies });
+  }
+
+  if (needsWiring(selected)) {
+    await updateMainEntry(projectPath, main => wireAddons(main, selected, options));
+  }
+}
+
+module.exports = {
+  addons,
+  applyAddons,
+  getAddonFiles,
+  isAddonIncluded,
+  listAddons,
+  needsWiring,
+  validAddons,
+  wireAddons
+};
@@ -0,0 +1,222 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { validAddons } = require('./addons');
+const { testingFrameworks } = require('./testing');
+const { lintPresets } = require('./linting');
+const { packageManagers } = require('./package-managers');
+const { conflictActions } = require('./conflicts');
+const { validThemes } = require('./theme');
+const { deployTargets } = require('./deploy');
+const { validationError } = require('./errors');
+
+const USER_CONFIG_FILE = '.reviterc';
+const PROJECT_CONFIG_FILE = 'revite.config.json';
+
+// Options a config file or preset may set, and the type each must have
+const optionTypes = {
+  template: 'string',
+  typescript: 'boolean',
+  tailwind: 'boolean',
+  theme: 'string',
+  primary: 'string',
+  with: 'array',
+  testing: 'string',
+  lint: 'string',
+  gitHooks: 'boolean',
+  deploy: 'string',
+  packageManager: 'string',
+  git: 'boolean',
+  useCreateVite: 'boolean',
+  onConflict: 'string',
+  keepOnFailure: 'boolean',
+  workspace: 'boolean',
+  workspacePackage: 'string',
+  workspaceTsconfig: 'boolean'
+};
+
+// Options limited to a fixed set of values. Templates and primary colors are checked later,
+// since any path or repository, and any hex color, is allowed.
+const optionChoices = {
+  theme: validThemes,
+  testing: testingFrameworks,
+  lint: lintPresets,
+  deploy: deployTargets,
+  packageManager: packageManagers,
+  onConflict: conflictActions
+};
+
+function getUserConfigPath() {
+  return path.join(os.homedir(), USER_CONFIG_FILE);
+}
+
+// The nearest revite.config.json in `cwd` or one of its parents, e.g. at a monorepo root
+async function findProjectConfig(cwd) {
+  let dir = path.resolve(cwd);
+  while (true) {
+    const configPath = path.join(dir, PROJECT_CONFIG_FILE);
+    if (await fs.pathExists(configPath)) {
+      return configPath;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+function validateOptions(values, label) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw validationError(`${label} must be an object of options.`);
+  }
+
+  Object.keys(values).forEach(key => {
+    const type = optionTypes[key];
+    const value = values[key];
+    if (!type) {
+      throw validationError(`Unknown option "${key}" in ${label}. Supported options: ${Object.keys(optionTypes).join(', ')}.`);
+    }
+    if (type === 'array') {
+      if (!Array.isArray(value) || value.some(item => !validAddons.includes(item))) {
+        throw validationError(`"${key}" in ${label} must be an array of add-ons: ${validAddons.join(', ')}.`);
+      }
+    } else if (typeof value !== type) {
+      throw validationError(`"${key}" in ${label} must be a ${type}.`);
+    } else if (optionChoices[key] && !optionChoices[key].includes(value)) {
+      throw validationError(`"${key}" in ${label} must be one of: ${optionChoices[key].join(', ')}.`);
+    }
+  });
+}
+
+// Relative template paths point next to the config file, not wherever create-revite runs
+function resolveTemplatePath(values, filePath) {
+  if (values.template && /^\.\.?[\\/]/.test(values.template)) {
+    values.template = path.resolve(path.dirname(filePath), values.template);
+  }
+}
+
+async function readConfigFile(filePath, label) {
+  let data;
+  try {
+    data = await fs.readJson(filePath);
+  } catch (error) {
+    throw validationError(`Could not read ${label}: ${error.message}`);
+  }
+
+  const { presets = {}, ...values } = data || {};
+  validateOptions(values, label);
+  if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+    throw validationError(`"presets" in ${label} must be an object of named option sets.`);
+  }
+  Object.keys(presets).forEach(name => validateOptions(presets[name], `preset "${name}" in ${label}`));
+
+  resolveTemplatePath(values, filePath);
+  Object.values(presets).forEach(preset => resolveTemplatePath(preset, filePath));
+
+  return { path: filePath, label, values, presets };
+}
+
+// Reads ~/.reviterc and the nearest revite.config.json. Later files win, so a team's
+// project config overrides personal defaults.
+async function loadConfig(cwd = process.cwd()) {
+  const files = [];
+
+  const userConfigPath = getUserConfigPath();
+  if (await fs.pathExists(userConfigPath)) {
+    files.push(await readConfigFile(userConfigPath, `~/${USER_CONFIG_FILE}`));
+  }
+
+  const projectConfigPath = await findProjectConfig(cwd);
+  if (projectConfigPath) {
+    files.push(await readConfigFile(projectConfigPath, path.relative(cwd, projectConfigPath) || PROJECT_CONFIG_FILE));
+  }
+
+  return files;
+}
+
+// Layers built-in defaults, config files, the preset and the command line, in that order.
+// Config file values become the defaults the wizard offers; preset and command line values
+// count as answered.
+function resolveOptions({ options, provided, files, presetName, defaults }) {
+  const values = {};
+  const sources = {};
+  const set = (key, value, source) => {
+    values[key] = value;
+    sources[key] = source;
+  };
+
+  Object.keys(optionTypes).forEach(key => set(key, defaults[key], 'default'));
+  files.forEach(file => {
+    Object.keys(file.values).forEach(key => set(key, file.values[key], file.label));
+  });
+  const configDefaults = { ...values };
+
+  const answered = new Set(provided);
+  if (presetName) {
+    const file = [...files].reverse().find(item => item.presets[presetName]);
+    if (!file) {
+      const available = [...new Set(files.flatMap(item => Object.keys(item.presets)))];
+      throw validationError(`Unknown preset "${presetName}". ${available.length > 0 ? `Available presets: ${available.join(', ')}` : 'No presets are defined'}.`);
+    }
+    Object.keys(file.presets[presetName]).forEach(key => {
+      set(key, file.presets[presetName][key], `preset "${presetName}" (${file.label})`);
+      answered.add(key);
+    });
+  }
+
+  Object.keys(optionTypes)
+    .filter(key => provided.has(key))
+    .forEach(key => set(key, options[key], 'command line'));
+
+  return {
+    options: { ...options, ...values },
+    sources,
+    defaults: configDefaults,
+    provided: answered
+  };
+}
+
+// Adds (or replaces) a named preset in ~/.reviterc
+async function savePreset(name, values) {
+  const configPath = getUserConfigPath();
+  const config = (await fs.pathExists(configPath)) ? await fs.readJson(configPath) : {};
+  config.presets = { ...config.presets, [name]: values };
+  await fs.writeJson(configPath, config, { spaces: 2 });
+  return `~/${USER_CONFIG_FILE}`;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '(none)';
+  }
+  return value === undefined ? '(auto)' : String(value);
+}
+
+function printConfig({ options, sources }, files) {
+  console.log();
+  console.log(chalk.bold('Config files'));
+  if (files.length === 0) {
+    console.log(chalk.gray(`  none (looked for ~/${USER_CONFIG_FILE} and ${PROJECT_CONFIG_FILE})`));
+  }
+  files.forEach(file => console.log(`  ${file.label}`));
+
+  console.log();
+  console.log(chalk.bold('Resolved options'));
+  const keyWidth = Math.max(...Object.keys(optionTypes).map(key => key.length)) + 2;
+  Object.keys(optionTypes).forEach(key => {
+    console.log(`  ${chalk.gray(key.padEnd(keyWidth))}${chalk.cyan(formatValue(options[key]).padEnd(28))}${chalk.gray(sources[key])}`);
+  });
+  console.log();
+}
+
+module.exports = {
+  PROJECT_CONFIG_FILE,
+  USER_CONFIG_FILE,
+  loadConfig,
+  optionTypes,
+  printConfig,
+  resolveOptions,
+  savePreset
+};
@@ -0,0 +1,176 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const prompts = require('prompts');
+const { mergePackageFields } = require('./templates');
+const { configFiles } = require('./vite-config');
+const { validationError } = require('./errors');
+
+const conflictActions = ['overwrite', 'skip', 'backup', 'abort'];
+
+// Files the generated project cannot run without. Skipping one backs it up and writes the
+// template's version instead; a kept package.json gets the template's scripts and packages.
+const requiredFiles = ['index.html', 'src/main.jsx', 'src/main.tsx', ...configFiles];
+
+// Existing files the scaffold would overwrite or delete, from planProject()
+function findConflicts(plan) {
+  return [
+    ...plan.files.modified.map(file => ({ path: file, deleted: false })),
+    ...plan.files.deleted.map(file => ({ path: file, deleted: true }))
+  ].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+function fileChoices(conflict) {
+  const keep = {
+    'package.json': { title: "Keep it, adding the template's scripts and packages", value: 'skip' }
+  };
+  return [
+    { title: conflict.deleted ? 'Delete it' : 'Overwrite it', value: 'overwrite' },
+    ...(requiredFiles.includes(conflict.path) ? [] : [keep[conflict.path] || { title: 'Keep it (skip)', value: 'skip' }]),
+    { title: `Back it up to ${path.basename(conflict.path)}.bak first`, value: 'backup' },
+    { title: 'Abort', value: 'abort' }
+  ];
+}
+
+// Decides what happens to each conflicting file: `action` (--on-conflict) applies to all of
+// them, otherwise the user is asked. Returns a map from path to overwrite/skip/backup, or null
+// if the user aborts or cancels.
+async function resolveConflicts(conflicts, { action, interactive = true } = {}) {
+  const resolutions = new Map();
+  if (conflicts.length === 0) {
+    return resolutions;
+  }
+
+  let chosen = action;
+  // Without a terminal the prompt would read EOF, so --on-conflict is needed as with --yes
+  if (!chosen && (!interactive || !process.stdin.isTTY)) {
+    throw validationError(`${conflicts.length} existing file${conflicts.length === 1 ? '' : 's'} would be overwritten or deleted: ${conflicts.map(conflict => conflict.path).join(', ')}. Pass --on-conflict overwrite, skip or backup to continue.`);
+  }
+
+  if (!chosen) {
+    console.log(chalk.yellow('These files already exist:'));
+    conflicts.forEach(conflict => console.log(`  ${conflict.path}${conflict.deleted ? chalk.gray(' (would be deleted)') : ''}`));
+    console.log();
+
+    let cancelled = false;
+    const onCancel = () => {
+      cancelled = true;
+      return false;
+    };
+
+    const answer = await prompts({
+      type: 'select',
+      name: 'chosen',
+      message: 'What should create-revite do with them?',
+      choices: [
+        { title: 'Overwrite all', value: 'overwrite' },
+        {
+          title: 'Keep all existing files (skip)',
+          description: conflicts.some(conflict => requiredFiles.includes(conflict.path)) ? 'files the project needs to run are backed up and replaced' : undefined,
+          value: 'skip'
+        },
+        { title: 'Back up all to *.bak, then overwrite', value: 'backup' },
+        { title: 'Decide for each file', value: 'each' },
+        { title: 'Abort', value: 'abort' }
+      ],
+      initial: 2
+    }, { onCancel });
+    if (cancelled) {
+      return null;
+    }
+    chosen = answer.chosen;
+
+    if (chosen === 'each') {
+      for (const conflict of conflicts) {
+        const { fileAction } = await prompts({
+          type: 'select',
+          name: 'fileAction',
+          message: `${conflict.path} already exists:`,
+          choices: fileChoices(conflict),
+          initial: 2
+        }, { onCancel });
+        if (cancelled || fileAction === 'abort') {
+          return null;
+        }
+        resolutions.set(conflict.path, fileAction);
+      }
+      return resolutions;
+    }
+  }
+
+  if (chosen === 'abort') {
+    return null;
+  }
+  conflicts.forEach(conflict => resolutions.set(conflict.path, chosen));
+  return resolutions;
+}
+
+async function getBackupPath(projectPath, relativePath) {
+  let backupPath = `${relativePath}.bak`;
+  for (let index = 2; await fs.pathExists(path.join(projectPath, backupPath)); index += 1) {
+    backupPath = `${relativePath}.bak${index}`;
+  }
+  return backupPath;
+}
+
+// Carries out the resolutions around a scaffold: `prepare` reads the files to keep before anything
+// is written, `backUp` copies files to *.bak and `restoreSkipped` puts the kept files back afterwards
+function createConflictHandler(projectPath, resolutions) {
+  const kept = new Map();
+  const backups = new Map();
+  const replaced = [];
+
+  async function prepare() {
+    for (const [relativePath, action] of resolutions) {
+      if (action === 'skip' && requiredFiles.includes(relativePath)) {
+        replaced.push(relativePath);
+        backups.set(relativePath, await getBackupPath(projectPath, relativePath));
+      } else if (action === 'skip') {
+        kept.set(relativePath, await fs.readFile(path.join(projectPath, relativePath)));
+      } else if (action === 'backup') {
+        backups.set(relativePath, await getBackupPath(projectPath, relativePath));
+      }
+    }
+  }
+
+  async function backUp() {
+    for (const [relativePath, backupPath] of backups) {
+      await fs.copy(path.join(projectPath, relativePath), path.join(projectPath, backupPath));
+    }
+    return [...backups.values()];
+  }
+
+  // Returns the paths put back as they were and those merged with the generated version
+  async function restoreSkipped() {
+    const merged = [];
+    for (const [relativePath, content] of kept) {
+      const filePath = path.join(projectPath, relativePath);
+      if (relativePath === 'package.json') {
+        const { type, scripts, dependencies, devDependencies } = await fs.readJson(filePath);
+        await fs.writeJson(filePath, mergePackageFields(JSON.parse(content), { type, scripts, dependencies, devDependencies }), { spaces: 2 });
+        merged.push(relativePath);
+      } else {
+        await fs.outputFile(filePath, content);
+      }
+    }
+    return { kept: [...kept.keys()].filter(relativePath => !merged.includes(relativePath)), merged };
+  }
+
+  return {
+    prepare,
+    backUp,
+    restoreSkipped,
+    // Skipped files the project needs to run, which are backed up and replaced instead
+    getReplacedFiles: () => [...replaced],
+    // Backups are new files, so a rollback has to know about them
+    getBackupPaths: () => [...backups.values()]
+  };
+}
+
+module.exports = {
+  conflictActions,
+  createConflictHandler,
+  findConflicts,
+  requiredFiles,
+  resolveConflicts
+};
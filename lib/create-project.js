@@ -0,0 +1,511 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { spawn } = require('child_process');
+const validateProjectName = require('validate-npm-package-name');
+const { listBaseTemplateFiles, renderBaseTemplate, toValidPackageName } = require('./scaffold');
+const { applyAppTemplate, getTemplateManifest, mergePackageJson, readTemplateFiles, validTemplates } = require('./templates');
+const { applyAddons, getAddonFiles, isAddonIncluded, validAddons } = require('./addons');
+const { applyTesting, getTestingFiles, testingFrameworks } = require('./testing');
+const { applyLinting, getLintFiles, installGitHooks, lintPresets } = require('./linting');
+const { applyDeploy, deployTargets, getDeployFiles } = require('./deploy');
+const { ensureGitignore, initGitRepository } = require('./git');
+const { loadCustomTemplate, parseTemplateSpec } = require('./custom-templates');
+const { conflictActions, createConflictHandler, findConflicts, resolveConflicts } = require('./conflicts');
+const { packageManagers, lockfiles, detectPackageManager, getRunCommand, findForeignLockfiles, prepareLockfile } = require('./package-managers');
+const { createInstaller, createRecordingInstaller } = require('./installer');
+const { createTransaction } = require('./transaction');
+const { MANIFEST_FILE, getTemplateSource, hashFiles, writeManifest } = require('./manifest');
+const { updateViteConfig } = require('./vite-config');
+const { addTailwindImport, configureTailwind, tailwindPackages } = require('./tailwind');
+const { getThemeCss, isValidPrimary, validThemes } = require('./theme');
+const { planProject } = require('./plan');
+const { defaultOptions, resolveTemplateVariables } = require('./wizard');
+const { cancelledError, createError, exitCodes, validationError } = require('./errors');
+const { createProgress } = require('./progress');
+const { extendTsconfigBase, findWorkspace, getScopedPackageName, isValidScope, registerWorkspacePackage } = require('./workspace');
+
+// Every option createProject() falls back to. The CLI layers config files, presets and flags
+// on top of the same values.
+const projectDefaults = {
+  ...defaultOptions,
+  git: true,
+  install: true,
+  useCreateVite: false,
+  keepOnFailure: false,
+  workspace: true,
+  workspaceTsconfig: false
+};
+
+function interruptedError() {
+  return createError('Interrupted', exitCodes.interrupted);
+}
+
+function validateOptions(options) {
+  if (!validTemplates.includes(options.template) && !parseTemplateSpec(options.template)) {
+    throw validationError(`Invalid template "${options.template}". Available templates: ${validTemplates.join(', ')}, or a local path, file: URL or git repository`);
+  }
+
+  if (!validThemes.includes(options.theme)) {
+    throw validationError(`Invalid theme "${options.theme}". Available themes: ${validThemes.join(', ')}`);
+  }
+
+  if (options.primary && !isValidPrimary(options.primary)) {
+    throw validationError(`Invalid primary color "${options.primary}". Use a Tailwind palette name such as violet, or a hex color such as #7c3aed.`);
+  }
+
+  const unknownAddon = options.with.find(name => !validAddons.includes(name));
+  if (unknownAddon) {
+    throw validationError(`Unknown add-on "${unknownAddon}". Available add-ons: ${validAddons.join(', ')}.`);
+  }
+
+  if (!testingFrameworks.includes(options.testing)) {
+    throw validationError(`Invalid testing option "${options.testing}". Available options: ${testingFrameworks.join(', ')}`);
+  }
+
+  if (!lintPresets.includes(options.lint)) {
+    throw validationError(`Invalid lint preset "${options.lint}". Available presets: ${lintPresets.join(', ')}`);
+  }
+
+  if (options.gitHooks && options.lint === 'none') {
+    throw validationError('--git-hooks runs ESLint and Prettier, so it needs --lint default or strict.');
+  }
+
+  if (!deployTargets.includes(options.deploy)) {
+    throw validationError(`Invalid deploy target "${options.deploy}". Available targets: ${deployTargets.join(', ')}`);
+  }
+
+  if (!packageManagers.includes(options.packageManager)) {
+    throw validationError(`Invalid package manager "${options.packageManager}". Available package managers: ${packageManagers.join(', ')}`);
+  }
+
+  if (options.onConflict && !conflictActions.includes(options.onConflict)) {
+    throw validationError(`Invalid --on-conflict action "${options.onConflict}". Available actions: ${conflictActions.join(', ')}`);
+  }
+
+  if (options.workspacePackage && !isValidScope(options.workspacePackage)) {
+    throw validationError(`Invalid --workspace-package scope "${options.workspacePackage}". Use a lowercase npm scope such as @acme.`);
+  }
+}
+
+// Scaffolds a project without prompting unless `interactive` is set. Resolves with the result
+// (paths, options, installed packages, steps and messages), or with the plan for `dryRun`.
+// Errors carry the partial result as `error.result` and an exit code as `error.exitCode`.
+async function createProject(options = {}) {
+  const progress = createProgress(options.onProgress);
+  const provided = Object.keys(options).filter(key => options[key] !== undefined);
+  const resolved = provided.reduce((values, key) => ({ ...values, [key]: options[key] }), {
+    ...projectDefaults,
+    packageManager: detectPackageManager(),
+    variables: {},
+    interactive: false,
+    dryRun: false,
+    stdio: 'inherit'
+  });
+
+  try {
+    return await runCreateProject(resolved, progress);
+  } catch (error) {
+    error.result = progress.getResult();
+    throw error;
+  }
+}
+
+async function runCreateProject(options, progress) {
+  validateOptions(options);
+  const isBuiltInTemplate = validTemplates.includes(options.template);
+  // The CSS Modules variants and custom templates have colors of their own
+  if (options.primary || options.theme !== 'default') {
+    if (options.tailwind === false) {
+      progress.warn('--theme and --primary set Tailwind color tokens, so they have no effect with --no-tailwind.');
+    } else if (!isBuiltInTemplate) {
+      progress.warn('--theme and --primary only style the built-in templates. A custom template keeps its own src/index.css.');
+    }
+  }
+  let packageManager = options.packageManager;
+
+  const inCurrentDirectory = !options.directory || options.directory === '.';
+  const projectPath = path.resolve(options.directory || '.');
+  const projectName = path.basename(projectPath);
+
+  if (inCurrentDirectory) {
+    const foreignLockfiles = await findForeignLockfiles(projectPath, packageManager);
+    if (foreignLockfiles.length > 0 && !options.dryRun) {
+      progress.warn(`Found ${foreignLockfiles.join(', ')} but installing with ${packageManager}. Remove stale lockfiles to avoid mixing package managers.`);
+    }
+  } else {
+    const validation = validateProjectName(projectName);
+    if (!validation.validForNewPackages) {
+      const problems = [...(validation.errors || []), ...(validation.warnings || [])];
+      throw validationError(`Invalid project name "${projectName}": ${problems.join('; ')}`);
+    }
+
+    // An existing directory is fine; files that collide with the template are resolved below
+    if (await fs.pathExists(projectPath) && !(await fs.stat(projectPath)).isDirectory()) {
+      throw validationError(`"${options.directory}" already exists and is not a directory.`);
+    }
+  }
+
+  // Inside a workspace the app is registered at the root and installed with the root's package manager
+  const workspace = options.workspace === false ? null : await findWorkspace(projectPath);
+  if (workspace) {
+    if (workspace.packageManager !== packageManager) {
+      progress.warn(`Using ${workspace.packageManager}, the package manager of the workspace, instead of ${packageManager}.`);
+      packageManager = workspace.packageManager;
+    }
+  }
+
+  if (options.workspaceTsconfig) {
+    if (!options.typescript) {
+      throw validationError('--workspace-tsconfig only applies to TypeScript projects. Add --typescript.');
+    }
+    if (!workspace || !workspace.hasTsconfigBase) {
+      throw validationError('--workspace-tsconfig needs a tsconfig.base.json at the root of an enclosing workspace.');
+    }
+  }
+  if (workspace && !options.dryRun) {
+    progress.info(`Adding ${workspace.directory} to the ${packageManager} workspace at ${workspace.root}`);
+    if (options.deploy === 'github-pages' || options.deploy === 'docker') {
+      progress.warn(`The ${options.deploy} config builds the app on its own. In a workspace, adjust it to install from ${workspace.root}.`);
+    }
+  }
+
+  const baseName = toValidPackageName(projectName);
+  const packageName = options.workspacePackage ? getScopedPackageName(options.workspacePackage, baseName) : baseName;
+
+  // A dry run cannot clone a git template, so it plans without one
+  const skipTemplate = options.dryRun && !isBuiltInTemplate && parseTemplateSpec(options.template).type === 'git';
+  const loadsTemplate = !isBuiltInTemplate && !skipTemplate;
+
+  let appTemplate = skipTemplate ? null : options.template;
+  if (loadsTemplate) {
+    appTemplate = options.dryRun
+      ? await loadCustomTemplate(options.template)
+      : await progress.step('load-template', `Loading template ${options.template}...`, () => loadCustomTemplate(options.template), {
+        done: template => `Loaded template ${template.name}`
+      });
+  }
+
+  try {
+    const templateVariables = loadsTemplate
+      ? await resolveTemplateVariables(appTemplate.manifest.variables, options.variables, { interactive: options.interactive, progress })
+      : {};
+    if (!templateVariables) {
+      throw cancelledError();
+    }
+
+    const context = { projectName, packageName, projectPath, packageManager, workspace, appTemplate, templateVariables };
+    const plan = await planProject({ ...context, templateSpec: options.template }, options);
+    if (options.dryRun) {
+      return plan;
+    }
+
+    const resolutions = await resolveConflicts(findConflicts(plan), {
+      action: options.onConflict,
+      interactive: options.interactive
+    });
+    if (!resolutions) {
+      throw cancelledError();
+    }
+
+    const { template, ...createdWith } = plan.options;
+    const manifest = {
+      template: getTemplateSource(options.template, projectPath),
+      projectName,
+      packageName,
+      options: {
+        ...createdWith,
+        useCreateVite: Boolean(options.useCreateVite),
+        workspacePackage: options.workspacePackage || null,
+        workspaceTsconfig: Boolean(options.workspaceTsconfig)
+      },
+      variables: templateVariables,
+      files: [...plan.files.created, ...plan.files.modified]
+    };
+
+    progress.start({ projectName, packageName, projectPath, options: plan.options });
+    await scaffoldProject({ ...context, resolutions, manifest }, options, progress);
+    return progress.getResult();
+  } finally {
+    if (loadsTemplate) {
+      await appTemplate.cleanup();
+    }
+  }
+}
+
+// Writes and installs the project, rolling everything back if a step fails or `signal` aborts
+async function scaffoldProject(context, options, progress) {
+  const { projectName, packageName, projectPath, packageManager, workspace, appTemplate } = context;
+  const { signal, stdio } = options;
+  const templateLabel = typeof appTemplate === 'string' ? appTemplate : appTemplate.name;
+
+  if (signal && signal.aborted) {
+    throw interruptedError();
+  }
+
+  const baseTemplate = options.typescript ? 'react-ts' : 'react';
+  const useTailwind = options.tailwind !== false;
+  const templateManifest = getTemplateManifest(appTemplate);
+  const selectedAddons = options.with.filter(name => {
+    if (isAddonIncluded(name, templateManifest)) {
+      progress.info(`Skipping ${name}: the ${templateLabel} template already includes it.`);
+      return false;
+    }
+    return true;
+  });
+  const templateOptions = {
+    typescript: options.typescript,
+    tailwind: useTailwind,
+    variables: { ...context.templateVariables, projectName, packageName }
+  };
+  const lintOptions = {
+    lint: options.lint,
+    gitHooks: options.gitHooks,
+    packageManager,
+    typescript: options.typescript,
+    tailwind: useTailwind
+  };
+  const deployOptions = { packageManager, projectName, packageName };
+  const installer = options.install === false
+    ? createRecordingInstaller(projectPath)
+    : createInstaller({ projectPath, packageManager, workspace, packageName, stdio, signal });
+
+  const conflicts = createConflictHandler(projectPath, context.resolutions || new Map());
+  await conflicts.prepare();
+  const replacedFiles = conflicts.getReplacedFiles();
+  if (replacedFiles.length > 0) {
+    progress.warn(`Not keeping ${replacedFiles.join(', ')}: the project cannot run without the template's version. ${replacedFiles.length === 1 ? 'It is' : 'They are'} backed up and replaced instead.`);
+  }
+
+  const transaction = createTransaction(projectPath);
+  await transaction.begin();
+  await transaction.track([
+    ...conflicts.getBackupPaths(),
+    ...(await listBaseTemplateFiles(baseTemplate)),
+    ...Object.keys(await readTemplateFiles(appTemplate, templateOptions)),
+    ...Object.keys(await getAddonFiles(selectedAddons, templateOptions)),
+    ...(options.testing === 'vitest' ? Object.keys(await getTestingFiles(appTemplate, templateOptions)) : []),
+    ...Object.keys(getLintFiles(lintOptions)),
+    ...Object.keys(getDeployFiles(options.deploy, deployOptions)),
+    ...Object.values(lockfiles).flat(),
+    MANIFEST_FILE
+  ]);
+
+  // Registering the app and installing from the root change files outside the project
+  const rootTransaction = workspace ? createTransaction(workspace.root) : null;
+  if (rootTransaction) {
+    await rootTransaction.begin();
+    await rootTransaction.track([workspace.file, ...Object.values(lockfiles).flat()]);
+  }
+
+  let cleanUpPromise = null;
+  const cleanUp = () => {
+    if (!cleanUpPromise) {
+      cleanUpPromise = (async () => {
+        if (options.keepOnFailure) {
+          progress.warn(`Keeping generated files in ${projectPath} (--keep-on-failure).`);
+          return;
+        }
+
+        await progress.step('rollback', 'Rolling back changes...', async () => {
+          await transaction.rollback();
+          if (rootTransaction) {
+            await rootTransaction.rollback();
+          }
+        }, {
+          done: () => (transaction.isNewDirectory() ? `Removed ${projectPath}` : 'Restored files changed by create-revite')
+        });
+      })();
+    }
+    return cleanUpPromise;
+  };
+
+  // Stops before the next step once `signal` aborts; running package managers are killed
+  const step = (...args) => {
+    if (signal && signal.aborted) {
+      throw interruptedError();
+    }
+    return progress.step(...args);
+  };
+
+  const run = async () => {
+    const backups = await conflicts.backUp();
+    if (backups.length > 0) {
+      progress.info(`Backed up existing files: ${backups.join(', ')}`);
+    }
+
+    await step('base', 'Creating Vite project...', async () => {
+      if (options.useCreateVite) {
+        await createViteProject(projectPath, baseTemplate, projectName, { stdio, signal });
+        if (packageName !== toValidPackageName(projectName)) {
+          await mergePackageJson(projectPath, { name: packageName });
+        }
+      } else {
+        await renderBaseTemplate(projectPath, baseTemplate, projectName, packageName);
+      }
+    }, { done: 'Vite project created' });
+
+    await step('template', `Applying ${templateLabel} template...`, () => applyAppTemplate(projectPath, appTemplate, templateOptions), {
+      done: 'Template applied'
+    });
+
+    if (selectedAddons.length > 0) {
+      await step('addons', `Adding ${selectedAddons.join(', ')}...`, () => applyAddons(projectPath, selectedAddons, templateOptions), {
+        done: `Added ${selectedAddons.join(', ')}`
+      });
+    }
+
+    if (options.testing === 'vitest') {
+      await step('testing', 'Setting up Vitest...', () => applyTesting(projectPath, appTemplate, templateOptions), {
+        done: 'Vitest and Testing Library set up'
+      });
+    }
+
+    if (options.lint !== 'none') {
+      await step('lint', `Configuring ESLint (${options.lint}) and Prettier...`, () => applyLinting(projectPath, lintOptions), {
+        done: `ESLint (${options.lint}) and Prettier configured${options.gitHooks ? ' with a pre-commit hook' : ''}`
+      });
+    }
+
+    if (options.deploy !== 'none') {
+      await step('deploy', `Adding ${options.deploy} deployment config...`, () => applyDeploy(projectPath, options.deploy, deployOptions), {
+        done: `Added ${options.deploy} deployment config`
+      });
+    }
+
+    if (workspace) {
+      await step('workspace', 'Registering the app in the workspace...', async () => {
+        const registeredIn = await registerWorkspacePackage(workspace);
+        const extended = options.workspaceTsconfig ? await extendTsconfigBase(projectPath, workspace) : [];
+        return { registeredIn, extended };
+      }, {
+        done: ({ registeredIn, extended }) => [
+          registeredIn ? `Added ${workspace.directory} to ${registeredIn}` : `${workspace.directory} is already part of the workspace`,
+          ...(extended.length > 0 ? [`${extended.join(' and ')} extend tsconfig.base.json`] : [])
+        ].join('; ')
+      });
+    } else {
+      await prepareLockfile(projectPath, packageManager);
+    }
+
+    if (useTailwind) {
+      await step('tailwind', 'Installing Tailwind CSS...', () => installTailwind(projectPath, installer, {
+        theme: options.theme,
+        primary: options.primary,
+        themed: typeof appTemplate === 'string'
+      }), {
+        done: 'Tailwind CSS installed'
+      });
+    }
+
+    const { kept: keptFiles, merged: mergedFiles } = await conflicts.restoreSkipped();
+    if (keptFiles.length > 0) {
+      progress.info(`Kept existing files: ${keptFiles.join(', ')}`);
+    }
+    if (mergedFiles.length > 0) {
+      progress.info("Kept the existing package.json, with the template's scripts and packages added");
+    }
+
+    if (options.install !== false) {
+      await step('install', 'Installing dependencies...', () => installer.install(), {
+        done: 'Dependencies installed'
+      });
+    }
+
+    // Written before the initial commit, which then holds every file version the manifest hashes
+    if (options.git !== false) {
+      await ensureGitignore(projectPath);
+    }
+    await writeManifest(projectPath, {
+      ...context.manifest,
+      files: await hashFiles(projectPath, context.manifest.files.filter(file => !keptFiles.includes(file)))
+    });
+
+    if (options.git !== false) {
+      await setUpGit(projectPath, packageManager, options, progress);
+    }
+
+    const { dependencies = {}, devDependencies = {} } = await fs.readJson(path.join(projectPath, 'package.json'));
+    progress.set({ packages: { dependencies, devDependencies } });
+  };
+
+  try {
+    await run();
+  } catch (error) {
+    await cleanUp();
+    throw signal && signal.aborted ? interruptedError() : error;
+  }
+}
+
+// Git problems are reported but never fail the scaffold
+async function setUpGit(projectPath, packageManager, options, progress) {
+  const git = await progress.step('git', 'Initializing git repository...', () => initGitRepository(projectPath), {
+    done: result => (result.committed ? 'Initialized a git repository with an initial commit' : null)
+  });
+
+  if (!git.initialized) {
+    progress.info(`Skipped git initialization: ${git.reason}`);
+    return;
+  }
+  if (!git.committed) {
+    progress.warn(`Initialized a git repository, but the initial commit failed: ${git.reason}`);
+  }
+
+  if (options.gitHooks) {
+    try {
+      await progress.step('git-hooks', 'Installing the pre-commit hook...', () => installGitHooks(projectPath, packageManager, { stdio: options.stdio }), {
+        done: 'Pre-commit hook installed'
+      });
+    } catch (error) {
+      progress.warn(`Could not install the pre-commit hook: ${error.message}. Run ${getRunCommand(packageManager, 'prepare')} inside the project.`);
+    }
+  }
+}
+
+async function createViteProject(projectPath, template, projectName, { stdio = 'inherit', signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const targetName = projectPath === process.cwd() ? '.' : projectName;
+    const args = [
+      '--yes',  // Allow npx to install create-vite if not present
+      'create-vite@latest',
+      targetName,
+      '--template', template,
+      '--yes'  // Force non-interactive mode for create-vite
+    ];
+
+    const child = spawn('npx', args, {
+      stdio,
+      signal,
+      cwd: path.dirname(projectPath),
+      shell: true
+    });
+
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(createError(`Vite creation failed with exit code ${code}. Please check your internet connection and try again.`, exitCodes.install));
+      } else {
+        resolve();
+      }
+    });
+
+    child.on('error', (error) => {
+      reject(error);
+    });
+  });
+}
+
+// Built-in templates get the themed CSS their components use. Custom templates keep their own
+// src/index.css (or the base one) with the Tailwind import added, like `add tailwind`.
+async function installTailwind(projectPath, installer, { theme, primary, themed = true } = {}) {
+  await installer.add(tailwindPackages);
+
+  await updateViteConfig(projectPath, configureTailwind);
+
+  const cssPath = path.join(projectPath, 'src/index.css');
+  const css = (await fs.pathExists(cssPath)) ? await fs.readFile(cssPath, 'utf-8') : '';
+  await fs.writeFile(cssPath, themed ? getThemeCss({ theme, primary }) : addTailwindImport(css));
+}
+
+module.exports = {
+  createProject,
+  projectDefaults
+};
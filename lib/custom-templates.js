@@ -0,0 +1,236 @@
+const os = require('os');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const fs = require('fs-extra');
+const { runCommand } = require('./run-command');
+const { renderString, renameFiles, textExtensions } = require('./scaffold');
+
+const MANIFEST_FILE = 'template.json';
+const languages = ['js', 'ts'];
+const ignoredEntries = [MANIFEST_FILE, '.git', 'node_modules'];
+const gitHosts = {
+  github: 'https://github.com',
+  gitlab: 'https://gitlab.com',
+  bitbucket: 'https://bitbucket.org'
+};
+
+// Git sources and refs come from --template or a shared config file. Git runs without a shell,
+// and anything option-like or with shell metacharacters is rejected before it gets there.
+const unsafeGitArgument = /^-|[\s;&|`$<>(){}[\]*?!'"\\]/;
+
+function getGitSource(url, ref) {
+  if (unsafeGitArgument.test(url) || (ref && unsafeGitArgument.test(ref))) {
+    return null;
+  }
+  return { type: 'git', url, ref };
+}
+
+function splitRef(spec) {
+  const index = spec.lastIndexOf('#');
+  return index === -1 ? [spec, null] : [spec.slice(0, index), spec.slice(index + 1) || null];
+}
+
+// Resolves a --template value that is not a built-in name to a local directory or git repository
+function parseTemplateSpec(spec, cwd = process.cwd()) {
+  if (spec.startsWith('file:')) {
+    return { type: 'local', path: fileURLToPath(spec) };
+  }
+
+  if (/^(\.{1,2}[\\/]|[\\/]|~[\\/]|[a-zA-Z]:[\\/])/.test(spec)) {
+    const expanded = spec.startsWith('~') ? path.join(os.homedir(), spec.slice(2)) : spec;
+    return { type: 'local', path: path.resolve(cwd, expanded) };
+  }
+
+  const [source, ref] = splitRef(spec);
+
+  if (/^(git\+)?(https?|ssh|git):\/\//.test(source) || source.startsWith('git+file://') || /^[\w.-]+@[\w.-]+:/.test(source)) {
+    return getGitSource(source.replace(/^git\+/, ''), ref);
+  }
+
+  const shorthand = source.match(/^(?:(github|gitlab|bitbucket):)?([\w.-]+)\/([\w.-]+)$/);
+  if (shorthand) {
+    // A relative directory like "templates/acme" wins over the owner/repo shorthand
+    if (!shorthand[1] && fs.existsSync(path.resolve(cwd, source))) {
+      return { type: 'local', path: path.resolve(cwd, source) };
+    }
+    const host = gitHosts[shorthand[1] || 'github'];
+    return getGitSource(`${host}/${shorthand[2]}/${shorthand[3].replace(/\.git$/, '')}.git`, ref);
+  }
+
+  return null;
+}
+
+function validateManifest(manifest) {
+  const errors = [];
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    return [`${MANIFEST_FILE} must contain a JSON object`];
+  }
+
+  ['name', 'description'].forEach(key => {
+    if (manifest[key] !== undefined && typeof manifest[key] !== 'string') {
+      errors.push(`"${key}" must be a string`);
+    }
+  });
+
+  ['dependencies', 'devDependencies'].forEach(key => {
+    const value = manifest[key];
+    if (value === undefined) {
+      return;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`"${key}" must be an object of package names to version ranges`);
+      return;
+    }
+    Object.keys(value).forEach(name => {
+      if (typeof value[name] !== 'string') {
+        errors.push(`"${key}.${name}" must be a version string`);
+      }
+    });
+  });
+
+  if (manifest.languages !== undefined) {
+    if (!Array.isArray(manifest.languages) || manifest.languages.length === 0) {
+      errors.push('"languages" must be a non-empty array of "js" and/or "ts"');
+    } else {
+      manifest.languages
+        .filter(language => !languages.includes(language))
+        .forEach(language => errors.push(`unsupported language "${language}" (expected "js" or "ts")`));
+    }
+  }
+
+  if (manifest.variables !== undefined) {
+    if (!manifest.variables || typeof manifest.variables !== 'object' || Array.isArray(manifest.variables)) {
+      errors.push('"variables" must be an object');
+    } else {
+      Object.keys(manifest.variables).forEach(name => {
+        const variable = manifest.variables[name];
+        if (!/^\w+$/.test(name)) {
+          errors.push(`variable name "${name}" may only contain letters, digits and underscores`);
+        }
+        if (!variable || typeof variable !== 'object' || Array.isArray(variable)) {
+          errors.push(`variable "${name}" must be an object with optional "description" and "default"`);
+        } else if (variable.default !== undefined && typeof variable.default !== 'string') {
+          errors.push(`variable "${name}" has a non-string default`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+async function getLanguageDirs(dir) {
+  const present = [];
+  for (const language of languages) {
+    if (await fs.pathExists(path.join(dir, language))) {
+      present.push(language);
+    }
+  }
+  return present;
+}
+
+async function loadCustomTemplate(spec, cwd = process.cwd()) {
+  const source = parseTemplateSpec(spec, cwd);
+  if (!source) {
+    return null;
+  }
+
+  let dir = source.path;
+  let cleanup = async () => {};
+
+  if (source.type === 'git') {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-template-'));
+    cleanup = () => fs.remove(dir);
+    try {
+      await runCommand('git', ['clone', '--depth', '1', ...(source.ref ? ['--branch', source.ref] : []), '--', source.url, dir], undefined, { shell: false });
+    } catch (error) {
+      await cleanup();
+      throw new Error(`Could not clone template "${spec}": ${error.message}`);
+    }
+  } else if (!(await fs.pathExists(dir)) || !(await fs.stat(dir)).isDirectory()) {
+    throw new Error(`Template directory "${dir}" does not exist.`);
+  }
+
+  try {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    let manifest = {};
+    if (await fs.pathExists(manifestPath)) {
+      try {
+        manifest = await fs.readJson(manifestPath);
+      } catch (error) {
+        throw new Error(`Invalid ${MANIFEST_FILE} in template "${spec}": ${error.message}`);
+      }
+    }
+
+    const errors = validateManifest(manifest);
+    const languageDirs = await getLanguageDirs(dir);
+    const supported = manifest.languages || (languageDirs.length > 0 ? languageDirs : languages);
+
+    if (languageDirs.length > 0) {
+      supported
+        .filter(language => !languageDirs.includes(language))
+        .forEach(language => errors.push(`"languages" lists "${language}" but the template has no ${language}/ directory`));
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid template "${spec}":\n${errors.map(error => `  • ${error}`).join('\n')}`);
+    }
+
+    return {
+      name: manifest.name || path.basename(source.type === 'git' ? source.url.replace(/\.git$/, '') : dir),
+      spec,
+      dir,
+      manifest,
+      languages: supported,
+      hasLanguageDirs: languageDirs.length > 0,
+      cleanup
+    };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+async function readCustomFiles(dir, base, variables, files) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (dir === base && ignoredEntries.includes(entry.name)) {
+      continue;
+    }
+
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await readCustomFiles(fullPath, base, variables, files);
+      continue;
+    }
+
+    const relativePath = path.join(path.relative(base, dir), renameFiles[entry.name] || entry.name).split(path.sep).join('/');
+    files[relativePath] = textExtensions.includes(path.extname(entry.name))
+      ? renderString(await fs.readFile(fullPath, 'utf-8'), variables)
+      : await fs.readFile(fullPath);
+  }
+
+  return files;
+}
+
+// Returns the custom template's files for the chosen language, with {{placeholders}} filled in
+async function renderCustomTemplate(template, { typescript = false, variables = {} } = {}) {
+  const language = typescript ? 'ts' : 'js';
+  if (!template.languages.includes(language)) {
+    const supported = template.languages.map(item => (item === 'ts' ? 'TypeScript' : 'JavaScript')).join(', ');
+    throw new Error(`Template "${template.name}" does not support ${typescript ? 'TypeScript' : 'JavaScript'} (supported: ${supported}).`);
+  }
+
+  const filesDir = template.hasLanguageDirs ? path.join(template.dir, language) : template.dir;
+  return readCustomFiles(filesDir, filesDir, variables, {});
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  loadCustomTemplate,
+  parseTemplateSpec,
+  renderCustomTemplate,
+  validateManifest
+};
@@ -0,0 +1,258 @@
+const { mergePackageJson, writeFiles } = require('./templates');
+const { updateViteConfig } = require('./vite-config');
+const { getRunCommand } = require('./package-managers');
+
+// Installs exactly what the lockfile says, for CI and Docker builds
+const frozenInstallCommands = {
+  npm: 'npm ci',
+  pnpm: 'pnpm install --frozen-lockfile',
+  yarn: 'yarn install --frozen-lockfile',
+  bun: 'bun install --frozen-lockfile'
+};
+
+function getNginxConfig({ root, serverName = '_' }) {
+  return `server {
+    listen 80;
+    server_name ${serverName};
+    root ${root};
+    index index.html;
+
+    gzip on;
+    gzip_types text/css application/javascript application/json image/svg+xml;
+
+    # Vite fingerprints everything in /assets, so browsers may cache it for good
+    location /assets/ {
+        expires 1y;
+        add_header Cache-Control "public, immutable";
+        try_files $uri =404;
+    }
+
+    # Client-side routing: paths that are not files get index.html and the router takes over
+    location / {
+        try_files $uri $uri/ /index.html;
+    }
+}
+`;
+}
+
+function getDockerfile(packageManager) {
+  const setups = {
+    npm: { copy: 'package*.json' },
+    pnpm: { copy: 'package.json pnpm-lock.yaml', setup: 'RUN corepack enable' },
+    yarn: { copy: 'package.json yarn.lock', setup: 'RUN corepack enable' },
+    bun: { copy: 'package.json bun.lock*', image: 'oven/bun:1' }
+  };
+  const { copy, setup, image = 'node:22-alpine' } = setups[packageManager];
+
+  return `# Build stage: install the locked dependencies and build the static files
+FROM ${image} AS build
+WORKDIR /app
+${setup ? `${setup}\n` : ''}COPY ${copy} ./
+RUN ${frozenInstallCommands[packageManager]}
+COPY . .
+RUN ${getRunCommand(packageManager, 'build')}
+
+# Serve stage: only nginx and dist/, configured for client-side routing
+FROM nginx:1.27-alpine
+COPY nginx.conf /etc/nginx/conf.d/default.conf
+COPY --from=build /app/dist /usr/share/nginx/html
+EXPOSE 80
+`;
+}
+
+const dockerignore = `node_modules
+dist
+.git
+.DS_Store
+*.log
+`;
+
+function getPagesSetupSteps(packageManager) {
+  const setupNode = cache => `      - uses: actions/setup-node@v4
+        with:
+          node-version: 22
+          cache: ${cache}
+`;
+  const steps = {
+    npm: setupNode('npm'),
+    pnpm: `      - uses: pnpm/action-setup@v4
+        with:
+          version: 10
+${setupNode('pnpm')}`,
+    yarn: setupNode('yarn'),
+    bun: '      - uses: oven-sh/setup-bun@v2\n'
+  };
+  return steps[packageManager];
+}
+
+function getPagesWorkflow(packageManager) {
+  return `# Builds the app and publishes dist/ to GitHub Pages on every push to main.
+# Turn it on under Settings > Pages > Build and deployment > Source: GitHub Actions.
+name: Deploy to GitHub Pages
+
+on:
+  push:
+    branches: [main]
+  workflow_dispatch:
+
+permissions:
+  contents: read
+  pages: write
+  id-token: write
+
+concurrency:
+  group: pages
+  cancel-in-progress: true
+
+jobs:
+  build:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+${getPagesSetupSteps(packageManager)}      - run: ${frozenInstallCommands[packageManager]}
+      - run: ${getRunCommand(packageManager, 'build')}
+      # Pages has no rewrites, so unknown paths load the app through 404.html
+      - run: cp dist/index.html dist/404.html
+      - uses: actions/upload-pages-artifact@v3
+        with:
+          path: dist
+
+  deploy:
+    needs: build
+    runs-on: ubuntu-latest
+    environment:
+      name: github-pages
+      url: \${{ steps.deployment.outputs.page_url }}
+    steps:
+      - id: deployment
+        uses: actions/deploy-pages@v4
+`;
+}
+
+// The image name for the Docker scripts; image names cannot start with @
+function getImageName(packageName) {
+  return packageName.replace(/^@/, '');
+}
+
+// `files` and `scripts` take { packageManager, projectName, packageName }. `base` is the Vite
+// base the target serves the app from, and `instructions` the closing steps the CLI prints.
+const deployConfigs = {
+  netlify: {
+    label: 'Netlify',
+    description: 'netlify.toml with build settings and SPA redirects',
+    files: ({ packageManager }) => ({
+      'netlify.toml': `[build]
+  command = "${getRunCommand(packageManager, 'build')}"
+  publish = "dist"
+
+# Client-side routing: every path that is not a file gets index.html
+[[redirects]]
+  from = "/*"
+  to = "/index.html"
+  status = 200
+`
+    }),
+    instructions: () => [
+      { command: 'npx netlify-cli deploy --build --prod', description: 'Builds and deploys the site, or import the repository at app.netlify.com.' }
+    ]
+  },
+  vercel: {
+    label: 'Vercel',
+    description: 'vercel.json with SPA rewrites',
+    files: () => ({
+      'vercel.json': `${JSON.stringify({
+        $schema: 'https://openapi.vercel.sh/vercel.json',
+        rewrites: [{ source: '/(.*)', destination: '/index.html' }]
+      }, null, 2)}\n`
+    }),
+    instructions: () => [
+      { command: 'npx vercel --prod', description: 'Deploys the app, or import the repository at vercel.com/new.' }
+    ]
+  },
+  'github-pages': {
+    label: 'GitHub Pages',
+    description: 'GitHub Actions workflow and a Vite base for the repository path',
+    files: ({ packageManager }) => ({
+      '.github/workflows/deploy.yml': getPagesWorkflow(packageManager)
+    }),
+    base: ({ projectName }) => `/${projectName}/`,
+    instructions: ({ projectName }) => [
+      {
+        command: 'git push origin main',
+        description: `Deploys through .github/workflows/deploy.yml once Settings > Pages > Source is set to GitHub Actions. The app is served from /${projectName}/; change \`base\` in the Vite config if the repository has another name.`
+      }
+    ]
+  },
+  docker: {
+    label: 'Docker',
+    description: 'multi-stage Dockerfile serving the build with nginx',
+    files: ({ packageManager }) => ({
+      Dockerfile: getDockerfile(packageManager),
+      '.dockerignore': dockerignore,
+      'nginx.conf': getNginxConfig({ root: '/usr/share/nginx/html' })
+    }),
+    scripts: ({ packageName }) => ({
+      'docker:build': `docker build -t ${getImageName(packageName)} .`,
+      'docker:run': `docker run --rm -p 8080:80 ${getImageName(packageName)}`
+    }),
+    instructions: ({ packageManager }) => [
+      { command: getRunCommand(packageManager, 'docker:build'), description: 'Builds the nginx image.' },
+      { command: getRunCommand(packageManager, 'docker:run'), description: 'Serves it at http://localhost:8080.' }
+    ]
+  },
+  nginx: {
+    label: 'nginx',
+    description: 'nginx server config for client-side routing',
+    files: ({ projectName }) => ({
+      'nginx.conf': getNginxConfig({ root: `/var/www/${projectName}`, serverName: 'example.com' })
+    }),
+    instructions: ({ packageManager, projectName }) => [
+      {
+        command: getRunCommand(packageManager, 'build'),
+        description: `Then copy dist/ to /var/www/${projectName} and nginx.conf to /etc/nginx/conf.d/${projectName}.conf, set server_name and reload nginx.`
+      }
+    ]
+  }
+};
+
+const deployTargets = ['none', ...Object.keys(deployConfigs)];
+
+function getDeployFiles(target, options) {
+  return target === 'none' ? {} : deployConfigs[target].files(options);
+}
+
+function getDeployPackageFields(target, options) {
+  const config = deployConfigs[target];
+  return config && config.scripts ? { scripts: config.scripts(options) } : {};
+}
+
+// The Vite `base` the target needs, or null to keep the default '/'
+function getDeployBase(target, options) {
+  const config = deployConfigs[target];
+  return config && config.base ? config.base(options) : null;
+}
+
+function getDeployInstructions(target, options) {
+  return target === 'none' ? [] : deployConfigs[target].instructions(options);
+}
+
+// `options` is { packageManager, projectName, packageName }
+async function applyDeploy(projectPath, target, options) {
+  await writeFiles(projectPath, getDeployFiles(target, options));
+  await mergePackageJson(projectPath, getDeployPackageFields(target, options));
+
+  const base = getDeployBase(target, options);
+  if (base) {
+    await updateViteConfig(projectPath, config => config.setProperty(['base'], `'${base}'`, { overwrite: true }));
+  }
+}
+
+module.exports = {
+  applyDeploy,
+  deployConfigs,
+  deployTargets,
+  getDeployBase,
+  getDeployFiles,
+  getDeployInstructions,
+  getDeployPackageFields
+};
@@ -0,0 +1,211 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { runQuietly } = require('./run-command');
+const { packageManagers } = require('./package-managers');
+const { engines } = require('../package.json');
+
+// npm, npx, pnpm, yarn and bun are .cmd scripts on Windows, which only run through a shell
+const probeOptions = { shell: process.platform === 'win32', timeout: 15000 };
+
+const NODE_DOWNLOAD_FIX = 'Install Node 22 LTS from https://nodejs.org, or with a version manager: nvm install 22';
+
+const installFixes = {
+  npm: `npm ships with Node. ${NODE_DOWNLOAD_FIX}`,
+  pnpm: 'Run corepack enable, or npm install -g pnpm',
+  yarn: 'Run corepack enable, or npm install -g yarn',
+  bun: 'Install it from https://bun.sh, or npm install -g bun'
+};
+
+function parseVersion(version) {
+  return version.replace(/^v/, '').split('.').map(part => parseInt(part, 10) || 0);
+}
+
+function isAtLeast(version, minimum) {
+  const [major, minor, patch] = parseVersion(version);
+  const [minMajor, minMinor, minPatch] = parseVersion(minimum);
+  if (major !== minMajor) {
+    return major > minMajor;
+  }
+  return minor !== minMinor ? minor > minMinor : patch >= minPatch;
+}
+
+// Vite 7, which the generated projects use, needs ^20.19.0 || >=22.12.0
+function supportsVite(version) {
+  const [major] = parseVersion(version);
+  return major === 20 ? isAtLeast(version, '20.19.0') : isAtLeast(version, '22.12.0');
+}
+
+async function getVersion(command) {
+  try {
+    return (await runQuietly(command, ['--version'], undefined, probeOptions)).trim().split('\n')[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+function checkNode(version = process.versions.node) {
+  const minimum = (engines.node.match(/\d+\.\d+\.\d+/) || ['0.0.0'])[0];
+  if (!isAtLeast(version, minimum)) {
+    return {
+      name: 'node',
+      status: 'error',
+      message: `Node ${version} is older than create-revite supports (${engines.node})`,
+      fix: NODE_DOWNLOAD_FIX
+    };
+  }
+  if (!supportsVite(version)) {
+    return {
+      name: 'node',
+      status: 'warning',
+      message: `Node ${version} can scaffold, but Vite 7 in the generated project needs Node 20.19+ or 22.12+`,
+      fix: NODE_DOWNLOAD_FIX
+    };
+  }
+  return { name: 'node', status: 'ok', message: `Node ${version}` };
+}
+
+// Only the package manager that will install is required; the others are reported for --package-manager
+async function checkPackageManagers(selected) {
+  const checks = [];
+  for (const name of packageManagers) {
+    const version = await getVersion(name);
+    if (version) {
+      checks.push({ name, status: 'ok', message: `${name} ${version}${name === selected ? ' (selected)' : ''}` });
+    } else if (name === selected) {
+      checks.push({ name, status: 'error', message: `${name} is selected but not installed`, fix: installFixes[name] });
+    } else {
+      checks.push({ name, status: 'info', message: `${name} is not installed (only needed with --package-manager ${name})` });
+    }
+  }
+  return checks;
+}
+
+async function checkNpx() {
+  const version = await getVersion('npx');
+  if (version) {
+    return { name: 'npx', status: 'ok', message: `npx ${version}` };
+  }
+  return {
+    name: 'npx',
+    status: 'warning',
+    message: 'npx is not installed, so --use-create-vite and npm git hooks will fail',
+    fix: 'npx ships with npm 7 and later: npm install -g npm'
+  };
+}
+
+// Without an identity git refuses the initial commit, which the scaffold reports as a warning
+async function checkGit() {
+  const version = await getVersion('git');
+  if (!version) {
+    return {
+      name: 'git',
+      status: 'warning',
+      message: 'git is not installed, so projects get no repository and --git-hooks cannot install',
+      fix: 'Install git from https://git-scm.com/downloads, or pass --no-git'
+    };
+  }
+
+  const getConfig = async key => {
+    try {
+      return (await runQuietly('git', ['config', key])).trim();
+    } catch (error) {
+      return '';
+    }
+  };
+  if (!(await getConfig('user.name')) || !(await getConfig('user.email'))) {
+    return {
+      name: 'git',
+      status: 'warning',
+      message: `${version}, but no user.name or user.email is set, so the initial commit will fail`,
+      fix: 'git config --global user.name "Your Name" && git config --global user.email you@example.com'
+    };
+  }
+  return { name: 'git', status: 'ok', message: version };
+}
+
+// `npm ping` honors .npmrc, including a custom registry, proxy and auth
+async function checkRegistry() {
+  let registry = 'the npm registry';
+  try {
+    registry = (await runQuietly('npm', ['config', 'get', 'registry'], undefined, probeOptions)).trim() || registry;
+    const startedAt = Date.now();
+    await runQuietly('npm', ['ping', '--fetch-retries', '0'], undefined, probeOptions);
+    return { name: 'registry', status: 'ok', message: `Reached ${registry} in ${Date.now() - startedAt} ms` };
+  } catch (error) {
+    return {
+      name: 'registry',
+      status: 'error',
+      message: `Could not reach ${registry}`,
+      fix: 'Check your connection. Behind a proxy, run npm config set https-proxy <url>; for a private registry, npm config set registry <url>'
+    };
+  }
+}
+
+// Writes and removes a file where the project would go, in the nearest directory that exists
+async function checkWritable(projectDirectory) {
+  const projectPath = path.resolve(projectDirectory || '.');
+  if (await fs.pathExists(projectPath) && !(await fs.stat(projectPath)).isDirectory()) {
+    return {
+      name: 'write-access',
+      status: 'error',
+      message: `${projectPath} exists and is not a directory`,
+      fix: 'Choose another project name, or move the file out of the way'
+    };
+  }
+
+  let dir = projectPath;
+  while (!(await fs.pathExists(dir)) && path.dirname(dir) !== dir) {
+    dir = path.dirname(dir);
+  }
+  const probePath = path.join(dir, `.create-revite-doctor-${process.pid}`);
+  try {
+    await fs.writeFile(probePath, '');
+    await fs.remove(probePath);
+    return { name: 'write-access', status: 'ok', message: `Can write to ${dir}` };
+  } catch (error) {
+    return {
+      name: 'write-access',
+      status: 'error',
+      message: `Cannot write to ${dir}: ${error.code || error.message}`,
+      fix: 'Create the project in a directory you own, or fix its permissions (avoid running with sudo)'
+    };
+  }
+}
+
+// Runs every check in order, passing each result to `onCheck` as soon as it is known
+async function runDoctor({ projectDirectory, packageManager }, onCheck = () => {}) {
+  const checks = [];
+  const add = results => [].concat(results).forEach(check => {
+    checks.push(check);
+    onCheck(check);
+  });
+
+  add(checkNode());
+  add(await checkPackageManagers(packageManager));
+  add(await checkNpx());
+  add(await checkGit());
+  add(await checkRegistry());
+  add(await checkWritable(projectDirectory));
+  return checks;
+}
+
+function printCheck({ status, message, fix }) {
+  const symbols = {
+    ok: chalk.green('✔'),
+    info: chalk.gray('-'),
+    warning: chalk.yellow('⚠'),
+    error: chalk.red('✖')
+  };
+  console.log(`${symbols[status]} ${status === 'info' ? chalk.gray(message) : message}`);
+  if (fix) {
+    console.log(chalk.gray(`  Fix: ${fix}`));
+  }
+}
+
+module.exports = {
+  checkNode,
+  printCheck,
+  runDoctor,
+  supportsVite
+};
@@ -0,0 +1,34 @@
+// Exit codes scripts can branch on. 130 for Ctrl+C follows the shell convention.
+const exitCodes = {
+  failure: 1,
+  validation: 2,
+  install: 3,
+  cancelled: 4,
+  interrupted: 130
+};
+
+// Plain Errors tagged with an exit code; progress.step() adds the name of the step that failed
+function createError(message, exitCode = exitCodes.failure) {
+  return Object.assign(new Error(message), { exitCode });
+}
+
+function validationError(message) {
+  return createError(message, exitCodes.validation);
+}
+
+function cancelledError() {
+  return createError('Operation cancelled.', exitCodes.cancelled);
+}
+
+// Prompts read EOF from a pipe and end as if answered, so runs without a terminal fail instead
+function notInteractiveError(question, hint) {
+  return validationError(`Cannot ask ${question}: stdin is not a terminal. ${hint}`);
+}
+
+module.exports = {
+  cancelledError,
+  createError,
+  exitCodes,
+  notInteractiveError,
+  validationError
+};
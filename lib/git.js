@@ -0,0 +1,77 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { TEMPLATES_DIR } = require('./scaffold');
+const { runQuietly } = require('./run-command');
+
+const COMMIT_MESSAGE = 'Initial commit from create-revite';
+
+// Entries every generated project should ignore, on top of whatever .gitignore it already has
+const gitignoreEntries = ['node_modules', 'dist', '*.local', 'coverage'];
+
+async function isGitInstalled() {
+  try {
+    await runQuietly('git', ['--version']);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function isInsideWorkTree(dir) {
+  try {
+    return (await runQuietly('git', ['rev-parse', '--is-inside-work-tree'], dir)).trim() === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+async function ensureGitignore(projectPath) {
+  const gitignorePath = path.join(projectPath, '.gitignore');
+  let content = await fs.pathExists(gitignorePath)
+    ? await fs.readFile(gitignorePath, 'utf-8')
+    : await fs.readFile(path.join(TEMPLATES_DIR, 'base', 'react', '_gitignore'), 'utf-8');
+
+  const lines = content.split('\n').map(line => line.trim());
+  const missing = gitignoreEntries.filter(entry => !lines.includes(entry));
+  if (missing.length > 0) {
+    content = `${content.replace(/\n*$/, '\n')}\n${missing.join('\n')}\n`;
+  }
+  await fs.writeFile(gitignorePath, content);
+}
+
+// Initializes a repository with an initial commit. Returns what happened instead of throwing,
+// because a project without git (or without a commit) is still a usable project.
+async function initGitRepository(projectPath) {
+  if (!(await isGitInstalled())) {
+    return { initialized: false, reason: 'git is not installed' };
+  }
+  if (await isInsideWorkTree(projectPath)) {
+    return { initialized: false, reason: 'the project is already inside a git work tree' };
+  }
+
+  await ensureGitignore(projectPath);
+
+  try {
+    await runQuietly('git', ['init'], projectPath);
+  } catch (error) {
+    return { initialized: false, reason: error.message };
+  }
+
+  try {
+    await runQuietly('git', ['add', '-A'], projectPath);
+    // Skip hooks: the project's own pre-commit hook should not reformat the generated files
+    await runQuietly('git', ['commit', '--no-verify', '-m', COMMIT_MESSAGE], projectPath);
+  } catch (error) {
+    return { initialized: true, committed: false, reason: error.message };
+  }
+
+  return { initialized: true, committed: true };
+}
+
+module.exports = {
+  COMMIT_MESSAGE,
+  ensureGitignore,
+  initGitRepository,
+  isGitInstalled,
+  isInsideWorkTree
+};
@@ -0,0 +1,44 @@
+const { getAddArgs, getInstallArgs, getWorkspaceAddArgs } = require('./package-managers');
+const { runCommand } = require('./run-command');
+const { mergePackageJson } = require('./templates');
+const { exitCodes } = require('./errors');
+
+// Package manager failures get their own exit code, so scripts can retry them
+async function runPackageManager(packageManager, args, projectPath, { stdio, signal } = {}) {
+  try {
+    await runCommand(packageManager, args, projectPath, { stdio, signal });
+  } catch (error) {
+    throw Object.assign(error, { exitCode: exitCodes.install });
+  }
+}
+
+// Installs into the project directory, or from the workspace root so the workspace keeps a
+// single lockfile and node_modules
+function createInstaller({ projectPath, packageManager, workspace = null, packageName, stdio, signal }) {
+  const cwd = workspace ? workspace.root : projectPath;
+  const getArgs = packages => (workspace
+    ? getWorkspaceAddArgs(packageManager, packages, { directory: workspace.directory, name: packageName })
+    : getAddArgs(packageManager, packages));
+
+  return {
+    add: packages => runPackageManager(packageManager, getArgs(packages), cwd, { stdio, signal }),
+    install: () => runPackageManager(packageManager, getInstallArgs(packageManager), cwd, { stdio, signal })
+  };
+}
+
+// For `install: false`: packages are only recorded in package.json, as `latest`, and installed
+// whenever the caller runs the package manager
+function createRecordingInstaller(projectPath) {
+  return {
+    add: packages => mergePackageJson(projectPath, {
+      dependencies: packages.reduce((dependencies, name) => ({ ...dependencies, [name]: 'latest' }), {})
+    }),
+    install: async () => {}
+  };
+}
+
+module.exports = {
+  createInstaller,
+  createRecordingInstaller,
+  runPackageManager
+};
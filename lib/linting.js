@@ -0,0 +1,176 @@
+const { mergePackageJson, writeFiles } = require('./templates');
+const { getExecCommand } = require('./package-managers');
+const { runCommand } = require('./run-command');
+const { MANIFEST_FILE } = require('./manifest');
+
+// `none` adds no preset and leaves create-vite's own ESLint config and lint script as they are
+const lintPresets = ['default', 'strict', 'none'];
+
+const prettierIgnore = [
+  'package-lock.json',
+  'pnpm-lock.yaml',
+  'yarn.lock',
+  'bun.lock',
+  MANIFEST_FILE,
+  ''
+].join('\n');
+
+function indent(lines, depth) {
+  return lines
+    .join('\n')
+    .split('\n')
+    .map(line => `${'  '.repeat(depth)}${line}`)
+    .join('\n');
+}
+
+// create-vite's ESLint config, extended for the preset. Tailwind class problems come from
+// eslint-plugin-better-tailwindcss; class order is left to prettier-plugin-tailwindcss.
+function renderEslintConfig({ typescript = false, tailwind = true, preset = 'default' } = {}) {
+  const strict = preset === 'strict';
+
+  const imports = [
+    "import js from '@eslint/js'",
+    "import globals from 'globals'",
+    "import reactHooks from 'eslint-plugin-react-hooks'",
+    "import reactRefresh from 'eslint-plugin-react-refresh'",
+    typescript && "import tseslint from 'typescript-eslint'",
+    tailwind && "import betterTailwindcss from 'eslint-plugin-better-tailwindcss'",
+    "import prettier from 'eslint-config-prettier/flat'",
+    "import { defineConfig, globalIgnores } from 'eslint/config'"
+  ].filter(Boolean);
+
+  const typescriptConfigs = strict
+    ? ['tseslint.configs.strictTypeChecked,', 'tseslint.configs.stylisticTypeChecked,']
+    : ['tseslint.configs.recommended,'];
+  const configs = [
+    'js.configs.recommended,',
+    ...(typescript ? typescriptConfigs : []),
+    "reactHooks.configs['recommended-latest'],",
+    'reactRefresh.configs.vite,',
+    ...(tailwind ? [`betterTailwindcss.configs['correctness-${strict ? 'error' : 'warn'}'],`] : [])
+  ];
+
+  const parserOptions = typescript
+    ? (strict ? ['parserOptions: {', '  projectService: true,', '  tsconfigRootDir: import.meta.dirname,', '},'] : [])
+    : ['parserOptions: {', "  ecmaVersion: 'latest',", '  ecmaFeatures: { jsx: true },', "  sourceType: 'module',", '},'];
+
+  const rules = [
+    ...(typescript ? [] : ["'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],"]),
+    ...(strict ? [
+      "eqeqeq: ['error', 'smart'],",
+      "'no-console': ['warn', { allow: ['warn', 'error'] }],",
+      "'react-hooks/exhaustive-deps': 'error',"
+    ] : [])
+  ];
+
+  const block = [
+    `files: ['**/*.{${typescript ? 'ts,tsx' : 'js,jsx'}}'],`,
+    'extends: [',
+    indent(configs, 1),
+    '],',
+    'languageOptions: {',
+    indent(['ecmaVersion: 2020,', 'globals: globals.browser,', ...parserOptions], 1),
+    '},',
+    ...(tailwind ? ['settings: {', "  'better-tailwindcss': { entryPoint: 'src/index.css' },", '},'] : []),
+    ...(rules.length > 0 ? ['rules: {', indent(rules, 1), '},'] : [])
+  ];
+
+  // create-vite's entry point asserts that #root exists
+  const entryOverride = typescript && strict ? [
+    '{',
+    "  files: ['src/main.tsx'],",
+    '  rules: {',
+    "    '@typescript-eslint/no-non-null-assertion': 'off',",
+    '  },',
+    '},'
+  ] : [];
+
+  return `${imports.join('\n')}
+
+export default defineConfig([
+  globalIgnores(['dist']),
+  {
+${indent(block, 2)}
+  },
+${entryOverride.length > 0 ? `${indent(entryOverride, 1)}\n` : ''}  prettier,
+])
+`;
+}
+
+// JSON.stringify() output as Prettier prints it, with short arrays of strings on one line
+function toPrettierJson(value) {
+  const json = JSON.stringify(value, null, 2)
+    .replace(/\[\n\s*((?:"[^"\n]*",?\n\s*)+)\]/g, (match, items) => `[${items.trim().split(/,\s*/).join(', ')}]`);
+  return `${json}\n`;
+}
+
+function getPrettierConfig({ tailwind = true } = {}) {
+  return {
+    semi: false,
+    singleQuote: true,
+    ...(tailwind ? { plugins: ['prettier-plugin-tailwindcss'], tailwindStylesheet: './src/index.css' } : {})
+  };
+}
+
+// Files the preset writes, keyed by their path relative to the project root
+function getLintFiles({ lint = 'default', gitHooks = false, packageManager = 'npm', ...options } = {}) {
+  if (lint === 'none') {
+    return {};
+  }
+
+  const files = {
+    'eslint.config.js': renderEslintConfig({ ...options, preset: lint }),
+    '.prettierrc.json': toPrettierJson(getPrettierConfig(options)),
+    '.prettierignore': prettierIgnore
+  };
+  if (gitHooks) {
+    files['.husky/pre-commit'] = `${getExecCommand(packageManager, 'lint-staged')}\n`;
+  }
+  return files;
+}
+
+// Scripts, devDependencies and lint-staged config the preset merges into package.json
+function getLintPackageFields({ tailwind = true, gitHooks = false } = {}) {
+  return {
+    scripts: {
+      lint: 'eslint .',
+      format: 'prettier --write .',
+      'format:check': 'prettier --check .',
+      ...(gitHooks ? { prepare: 'husky' } : {})
+    },
+    devDependencies: {
+      'eslint-config-prettier': '^10.1.8',
+      prettier: '^3.9.9',
+      ...(tailwind ? { 'eslint-plugin-better-tailwindcss': '^4.7.0', 'prettier-plugin-tailwindcss': '^0.8.1' } : {}),
+      ...(gitHooks ? { husky: '^9.1.7', 'lint-staged': '^16.3.4' } : {})
+    },
+    'lint-staged': gitHooks ? {
+      '*.{js,jsx,ts,tsx}': ['eslint --fix', 'prettier --write'],
+      '*.{json,css,md,html}': 'prettier --write'
+    } : undefined
+  };
+}
+
+// `options` are the lint preset, gitHooks, packageManager, typescript and tailwind
+async function applyLinting(projectPath, options = {}) {
+  if (options.lint === 'none') {
+    return;
+  }
+
+  await writeFiles(projectPath, getLintFiles(options));
+  await mergePackageJson(projectPath, getLintPackageFields(options));
+}
+
+// husky's `prepare` script only sets up hooks inside a git repository, so run it again after `git init`
+async function installGitHooks(projectPath, packageManager, { stdio } = {}) {
+  await runCommand(getExecCommand(packageManager, 'husky'), [], projectPath, { stdio });
+}
+
+module.exports = {
+  applyLinting,
+  installGitHooks,
+  getLintFiles,
+  getLintPackageFields,
+  lintPresets,
+  renderEslintConfig
+};
@@ -0,0 +1,139 @@
+const path = require('path');
+const fs = require('fs-extra');
+const recast = require('recast');
+const { createSourceEditor, parseExpression } = require('./source-editor');
+
+const n = recast.types.namedTypes;
+const b = recast.types.builders;
+
+const entryFiles = ['src/main.tsx', 'src/main.jsx', 'src/main.ts', 'src/main.js'];
+
+function createEditor(source) {
+  const { program, fail, addImport, removeUnusedImport } = source;
+
+  function getRenderCall() {
+    let call = null;
+    recast.visit(program, {
+      visitCallExpression(nodePath) {
+        const { callee, arguments: args } = nodePath.node;
+        if (n.MemberExpression.check(callee) && callee.property.name === 'render' && n.JSXElement.check(args[0])) {
+          call = nodePath.node;
+          return false;
+        }
+        this.traverse(nodePath);
+      }
+    });
+    if (!call) {
+      fail('no createRoot().render(<...>) call found');
+    }
+    return call;
+  }
+
+  // Where the app element lives: inside <StrictMode> if it is used, else the render() argument itself
+  function getAppSlot() {
+    const call = getRenderCall();
+    const root = call.arguments[0];
+    if (root.openingElement.name.name !== 'StrictMode') {
+      return { nodes: call.arguments, index: 0 };
+    }
+
+    const elements = root.children.filter(child => n.JSXElement.check(child));
+    if (elements.length !== 1) {
+      fail('<StrictMode> should contain a single element');
+    }
+    return { nodes: root.children, index: root.children.indexOf(elements[0]) };
+  }
+
+  // Wraps the app in a provider, e.g. wrapApp('Provider', 'store={store}') gives
+  // <Provider store={store}><App /></Provider>. Does nothing if the provider is already there.
+  function wrapApp(name, attributes = '') {
+    const { nodes, index } = getAppSlot();
+    let alreadyWrapped = false;
+    recast.visit(nodes[index], {
+      visitJSXOpeningElement(nodePath) {
+        alreadyWrapped = alreadyWrapped || nodePath.node.name.name === name;
+        this.traverse(nodePath);
+      }
+    });
+    if (alreadyWrapped) {
+      return;
+    }
+
+    const wrapper = parseExpression(`<${name}${attributes ? ` ${attributes}` : ''}></${name}>`);
+    wrapper.children = [b.jsxText('\n'), nodes[index], b.jsxText('\n')];
+    nodes[index] = wrapper;
+  }
+
+  // Swaps the rendered <App /> for another element and drops the App import if it is no longer used
+  function replaceApp(elementSource, { component = 'App' } = {}) {
+    const { nodes, index } = getAppSlot();
+    const replacement = parseExpression(elementSource);
+    let found = false;
+
+    if (nodes[index].openingElement.name.name === component) {
+      nodes[index] = replacement;
+      found = true;
+    } else {
+      recast.visit(nodes[index], {
+        visitJSXElement(nodePath) {
+          if (nodePath.node.openingElement.name.name === component) {
+            nodePath.replace(replacement);
+            found = true;
+            return false;
+          }
+          this.traverse(nodePath);
+        }
+      });
+    }
+
+    if (!found) {
+      fail(`<${component} /> is not rendered`);
+    }
+    removeUnusedImport(component);
+  }
+
+  return {
+    addImport,
+    wrapApp,
+    replaceApp
+  };
+}
+
+async function findMainEntry(projectPath) {
+  for (const file of entryFiles) {
+    const entryPath = path.join(projectPath, file);
+    if (await fs.pathExists(entryPath)) {
+      return entryPath;
+    }
+  }
+  return null;
+}
+
+function transformMainEntry(source, update, entryPath = 'main.jsx') {
+  const sourceEditor = createSourceEditor(source, entryPath);
+  update(createEditor(sourceEditor));
+  return sourceEditor.print();
+}
+
+// Parses src/main.jsx (or .tsx), lets `update` edit it and writes it back if anything changed
+async function updateMainEntry(projectPath, update) {
+  const entryPath = await findMainEntry(projectPath);
+  if (!entryPath) {
+    throw new Error(`No src/main.jsx or src/main.tsx found in ${projectPath}.`);
+  }
+
+  const source = await fs.readFile(entryPath, 'utf-8');
+  const output = transformMainEntry(source, update, entryPath);
+
+  if (output !== source) {
+    await fs.writeFile(entryPath, output);
+  }
+  return output !== source;
+}
+
+module.exports = {
+  entryFiles,
+  findMainEntry,
+  transformMainEntry,
+  updateMainEntry
+};
@@ -0,0 +1,76 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { parseTemplateSpec } = require('./custom-templates');
+const { lockfiles } = require('./package-managers');
+const { version } = require('../package.json');
+
+// Records which create-revite version, template and options produced a project, and a hash
+// of every generated file, so `create-revite upgrade` can tell template changes from the user's
+const MANIFEST_FILE = '.revite.json';
+
+// The git blob id of the content, so upgrade can find the generated version in the project's
+// git history (`git cat-file -p <hash>`) and merge against it
+function hashContent(content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  return crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+}
+
+// Lockfiles change on every install, so they are never part of the manifest
+function isTrackedFile(relativePath) {
+  return relativePath !== MANIFEST_FILE && !Object.values(lockfiles).flat().includes(relativePath);
+}
+
+async function hashFiles(projectPath, relativePaths) {
+  const files = {};
+  for (const relativePath of [...new Set(relativePaths)].filter(isTrackedFile).sort()) {
+    const filePath = path.join(projectPath, relativePath);
+    if (await fs.pathExists(filePath)) {
+      files[relativePath] = hashContent(await fs.readFile(filePath));
+    }
+  }
+  return files;
+}
+
+// Local template paths are stored relative to the project, so the manifest still works after
+// the project is cloned elsewhere. Built-in names and git sources are stored as given.
+function getTemplateSource(templateSpec, projectPath) {
+  const source = parseTemplateSpec(templateSpec);
+  if (!source || source.type !== 'local') {
+    return templateSpec;
+  }
+  const relativePath = path.relative(projectPath, source.path).split(path.sep).join('/');
+  return relativePath.startsWith('.') ? relativePath : `./${relativePath}`;
+}
+
+async function readManifest(projectPath) {
+  const manifestPath = path.join(projectPath, MANIFEST_FILE);
+  return (await fs.pathExists(manifestPath)) ? fs.readJson(manifestPath) : null;
+}
+
+// `manifest` is { template, projectName, packageName, options, variables, files }, with `files`
+// mapping paths to hashes. The version is always the running create-revite.
+async function writeManifest(projectPath, { template, projectName, packageName, options, variables, files }) {
+  const sortedFiles = Object.keys(files).sort().reduce((sorted, relativePath) => ({
+    ...sorted,
+    [relativePath]: files[relativePath]
+  }), {});
+  await fs.writeJson(path.join(projectPath, MANIFEST_FILE), {
+    version,
+    template,
+    projectName,
+    packageName,
+    options,
+    variables,
+    files: sortedFiles
+  }, { spaces: 2 });
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  getTemplateSource,
+  hashContent,
+  hashFiles,
+  readManifest,
+  writeManifest
+};
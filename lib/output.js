@@ -0,0 +1,97 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { exitCodes } = require('./errors');
+
+// Renders the progress events of one run for the CLI. On a terminal it shows spinners. When
+// stdout is not a TTY (CI, pipes) it prints one plain line per finished step. With `json` it
+// prints nothing until printResult() or printError() writes a single JSON object, and child
+// process output goes to stderr so stdout stays parseable.
+function createOutput({ json = false, tty = Boolean(process.stdout.isTTY) } = {}) {
+  const startedAt = Date.now();
+  const spinner = json || !tty ? null : ora();
+
+  function log(...args) {
+    if (!json) {
+      console.log(...args);
+    }
+  }
+
+  function renderMessage({ level, text }) {
+    if (spinner) {
+      spinner[level === 'warning' ? 'warn' : level === 'error' ? 'fail' : 'info'](text);
+    } else {
+      const prefixes = { info: '', warning: 'Warning: ', error: 'Error: ' };
+      (level === 'info' ? console.log : console.error)(`${prefixes[level]}${text}`);
+    }
+  }
+
+  // A step that succeeds with null text was reported by the caller, so the spinner just stops
+  function renderStep({ status, text }) {
+    if (!spinner) {
+      if (status === 'failed') {
+        console.error(text);
+      } else if (status === 'succeeded' && text !== null) {
+        console.log(text);
+      }
+    } else if (status === 'started') {
+      spinner.start(text);
+    } else if (status === 'failed') {
+      spinner.fail(text);
+    } else if (text === null) {
+      spinner.stop();
+    } else {
+      spinner.succeed(text);
+    }
+  }
+
+  const renderers = {
+    message: renderMessage,
+    step: renderStep
+  };
+
+  function onProgress(event) {
+    if (!json && renderers[event.type]) {
+      renderers[event.type](event);
+    }
+  }
+
+  function writeJson(value) {
+    process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+  }
+
+  function printResult(result) {
+    if (json) {
+      writeJson({ ok: true, ...result, error: null });
+    }
+  }
+
+  // Prints how a run ended in failure: the JSON result, or a message on stderr. Errors from
+  // createProject() carry the partial result of the run.
+  function printError(error, label) {
+    if (json) {
+      writeJson({
+        ok: false,
+        ...(error.result || { steps: [], messages: [], durationMs: Date.now() - startedAt }),
+        error: { step: error.step || null, message: error.message, exitCode: error.exitCode || exitCodes.failure }
+      });
+    } else if (error.exitCode === exitCodes.cancelled || error.exitCode === exitCodes.interrupted) {
+      console.log(chalk.yellow(error.message));
+    } else {
+      console.error(chalk.red(`${label}:`), error.message);
+    }
+  }
+
+  return {
+    json,
+    // stdio for child processes such as the package manager
+    childStdio: json ? ['inherit', process.stderr, 'inherit'] : 'inherit',
+    log,
+    onProgress,
+    printResult,
+    printError
+  };
+}
+
+module.exports = {
+  createOutput
+};
@@ -0,0 +1,112 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+const packageManagers = ['npm', 'pnpm', 'yarn', 'bun'];
+
+const lockfiles = {
+  npm: ['package-lock.json', 'npm-shrinkwrap.json'],
+  pnpm: ['pnpm-lock.yaml'],
+  yarn: ['yarn.lock'],
+  bun: ['bun.lock', 'bun.lockb']
+};
+
+// `pnpm create revite`, `yarn create revite` and `bun create revite` identify themselves here
+function detectPackageManager(userAgent = process.env.npm_config_user_agent) {
+  if (!userAgent) {
+    return 'npm';
+  }
+
+  const name = userAgent.split(' ')[0].split('/')[0];
+  return packageManagers.includes(name) ? name : 'npm';
+}
+
+function getInstallArgs() {
+  return ['install'];
+}
+
+function getAddArgs(packageManager, packages, { dev = false } = {}) {
+  const verb = packageManager === 'npm' ? 'install' : 'add';
+  return [verb, ...(dev ? ['-D'] : []), ...packages];
+}
+
+// Adds packages to one workspace package, run from the workspace root. `directory` is the
+// package's path relative to the root and `name` its package name.
+function getWorkspaceAddArgs(packageManager, packages, { directory, name }) {
+  const args = {
+    pnpm: ['add', ...packages, '--filter', `./${directory}`],
+    yarn: ['workspace', name, 'add', ...packages],
+    bun: ['add', ...packages, '--cwd', directory]
+  };
+  return args[packageManager] || ['install', ...packages, '--workspace', directory];
+}
+
+function getRunCommand(packageManager, script) {
+  if (packageManager === 'yarn' || packageManager === 'pnpm') {
+    return `${packageManager} ${script}`;
+  }
+  return `${packageManager} run ${script}`;
+}
+
+// How to run a binary installed in the project, e.g. from a git hook
+function getExecCommand(packageManager, bin) {
+  const prefixes = {
+    npm: 'npx',
+    pnpm: 'pnpm exec',
+    yarn: 'yarn',
+    bun: 'bunx'
+  };
+  return `${prefixes[packageManager] || 'npx'} ${bin}`;
+}
+
+// The package manager an existing project was installed with, going by its lockfile
+async function detectProjectPackageManager(projectPath) {
+  for (const name of packageManagers) {
+    for (const lockfile of lockfiles[name]) {
+      if (await fs.pathExists(path.join(projectPath, lockfile))) {
+        return name;
+      }
+    }
+  }
+  return detectPackageManager();
+}
+
+async function findForeignLockfiles(projectPath, packageManager) {
+  const foreign = [];
+
+  for (const name of packageManagers) {
+    if (name === packageManager) {
+      continue;
+    }
+    for (const lockfile of lockfiles[name]) {
+      if (await fs.pathExists(path.join(projectPath, lockfile))) {
+        foreign.push(lockfile);
+      }
+    }
+  }
+
+  return foreign;
+}
+
+async function prepareLockfile(projectPath, packageManager) {
+  // Yarn 2+ refuses to install a directory nested inside another project unless it has its own lockfile
+  if (packageManager === 'yarn') {
+    const yarnLockPath = path.join(projectPath, 'yarn.lock');
+    if (!(await fs.pathExists(yarnLockPath))) {
+      await fs.writeFile(yarnLockPath, '');
+    }
+  }
+}
+
+module.exports = {
+  packageManagers,
+  lockfiles,
+  detectPackageManager,
+  detectProjectPackageManager,
+  getInstallArgs,
+  getAddArgs,
+  getWorkspaceAddArgs,
+  getRunCommand,
+  getExecCommand,
+  findForeignLockfiles,
+  prepareLockfile
+};
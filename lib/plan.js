@@ -0,0 +1,231 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { TEMPLATES_DIR, listBaseTemplateFiles, renderString } = require('./scaffold');
+const {
+  getManifestPackageFields,
+  getObsoleteFiles,
+  getTemplateManifest,
+  mergePackageFields,
+  readTemplateFiles
+} = require('./templates');
+const { addons, getAddonFiles, isAddonIncluded, needsWiring } = require('./addons');
+const { getTestingFiles, vitestPackage } = require('./testing');
+const { getLintFiles, getLintPackageFields } = require('./linting');
+const { getDeployBase, getDeployFiles, getDeployPackageFields } = require('./deploy');
+const { tailwindPackages } = require('./tailwind');
+const { COMMIT_MESSAGE, isGitInstalled, isInsideWorkTree } = require('./git');
+const { parseTemplateSpec } = require('./custom-templates');
+const { MANIFEST_FILE } = require('./manifest');
+const { findForeignLockfiles, getAddArgs, getExecCommand, getInstallArgs, getWorkspaceAddArgs } = require('./package-managers');
+const { isRegistered } = require('./workspace');
+
+function formatCommand(command, args) {
+  return [command, ...args].map(arg => (/[\s"]/.test(arg) ? JSON.stringify(arg) : arg)).join(' ');
+}
+
+// Why git setup would be skipped, or null if it would run
+async function getGitSkipReason(projectPath) {
+  if (!(await isGitInstalled())) {
+    return 'git is not installed';
+  }
+  const dir = (await fs.pathExists(projectPath)) ? projectPath : path.dirname(projectPath);
+  if (await isInsideWorkTree(dir)) {
+    return 'the project is already inside a git work tree';
+  }
+  return null;
+}
+
+// Works out what scaffolding would create, modify and delete, which packages end up in
+// package.json and which commands would run, without writing anything or using the network.
+// `appTemplate` is null for a git template, which cannot be read without cloning it.
+async function planProject(context, options) {
+  const { projectName, packageName, projectPath, packageManager, workspace, appTemplate, templateSpec } = context;
+  const baseTemplate = options.typescript ? 'react-ts' : 'react';
+  const tailwind = options.tailwind !== false;
+  const manifest = appTemplate ? getTemplateManifest(appTemplate) : {};
+  const selectedAddons = options.with.filter(name => !isAddonIncluded(name, manifest));
+  const templateOptions = {
+    typescript: options.typescript,
+    tailwind,
+    variables: { ...context.templateVariables, projectName, packageName }
+  };
+  const lintOptions = { lint: options.lint, gitHooks: options.gitHooks, packageManager, typescript: options.typescript, tailwind };
+
+  const written = new Set();
+  const removed = new Set();
+  const write = paths => paths.forEach(relativePath => written.add(relativePath));
+  const commands = [];
+  const notes = [];
+
+  const baseFiles = await listBaseTemplateFiles(baseTemplate);
+  const viteConfig = baseFiles.find(file => file.startsWith('vite.config.'));
+  const mainEntry = baseFiles.find(file => file.startsWith('src/main.'));
+  write(baseFiles);
+  if (options.useCreateVite) {
+    const target = projectPath === process.cwd() ? '.' : projectName;
+    commands.push(formatCommand('npx', ['--yes', 'create-vite@latest', target, '--template', baseTemplate, '--yes']));
+    notes.push('The base files are listed from the bundled template; create-vite@latest may differ.');
+  }
+
+  const basePackageJson = await fs.readFile(path.join(TEMPLATES_DIR, 'base', baseTemplate, 'package.json'), 'utf-8');
+  let packageJson = JSON.parse(renderString(basePackageJson, templateOptions.variables));
+
+  if (appTemplate) {
+    const files = await readTemplateFiles(appTemplate, templateOptions);
+    write(Object.keys(files));
+    getObsoleteFiles(files).forEach(relativePath => removed.add(relativePath));
+    packageJson = mergePackageFields(packageJson, getManifestPackageFields(appTemplate));
+  } else {
+    const source = parseTemplateSpec(templateSpec);
+    commands.unshift(formatCommand('git', ['clone', '--depth', '1', ...(source.ref ? ['--branch', source.ref] : []), source.url, '<temp-dir>']));
+    notes.push(`Files, packages and variables from ${templateSpec} are not listed, because reading a git template needs the network.`);
+  }
+
+  if (selectedAddons.length > 0) {
+    write(Object.keys(await getAddonFiles(selectedAddons, templateOptions)));
+    if (needsWiring(selectedAddons)) {
+      write([mainEntry]);
+    }
+    selectedAddons.forEach(name => {
+      packageJson = mergePackageFields(packageJson, { dependencies: addons[name].dependencies });
+    });
+  }
+
+  if (options.testing === 'vitest') {
+    write([...Object.keys(await getTestingFiles(appTemplate, templateOptions)), viteConfig]);
+    packageJson = mergePackageFields(packageJson, vitestPackage);
+  }
+
+  if (options.lint !== 'none') {
+    write(Object.keys(getLintFiles(lintOptions)));
+    packageJson = mergePackageFields(packageJson, getLintPackageFields(lintOptions));
+  }
+
+  if (options.deploy !== 'none') {
+    const deployOptions = { packageManager, projectName, packageName };
+    write(Object.keys(getDeployFiles(options.deploy, deployOptions)));
+    if (getDeployBase(options.deploy, deployOptions)) {
+      write([viteConfig]);
+    }
+    packageJson = mergePackageFields(packageJson, getDeployPackageFields(options.deploy, deployOptions));
+  }
+
+  if (workspace) {
+    notes.push(isRegistered(workspace.patterns, workspace.directory)
+      ? `${workspace.directory} is already part of the ${packageManager} workspace at ${workspace.root}. Installs run from the workspace root.`
+      : `${workspace.directory} will be added to ${workspace.file} at the workspace root ${workspace.root}. Installs run from the workspace root.`);
+    if (options.workspaceTsconfig) {
+      notes.push('tsconfig.app.json and tsconfig.node.json will extend the workspace tsconfig.base.json.');
+    }
+  } else if (packageManager === 'yarn') {
+    write(['yarn.lock']);
+  }
+  const addArgs = packages => (workspace
+    ? getWorkspaceAddArgs(packageManager, packages, { directory: workspace.directory, name: packageName })
+    : getAddArgs(packageManager, packages));
+  if (await fs.pathExists(projectPath)) {
+    const foreignLockfiles = await findForeignLockfiles(projectPath, packageManager);
+    if (foreignLockfiles.length > 0) {
+      notes.push(`Found ${foreignLockfiles.join(', ')} but installing with ${packageManager}. Remove stale lockfiles to avoid mixing package managers.`);
+    }
+  }
+
+  const dependencies = { ...packageJson.dependencies };
+  if (tailwind) {
+    write([viteConfig, 'src/index.css']);
+    commands.push(formatCommand(packageManager, addArgs(tailwindPackages)));
+    tailwindPackages.forEach(name => {
+      dependencies[name] = 'latest';
+    });
+  }
+  write(['package.json', MANIFEST_FILE]);
+  commands.push(formatCommand(packageManager, getInstallArgs(packageManager)));
+
+  if (options.git !== false) {
+    const skipReason = await getGitSkipReason(projectPath);
+    if (skipReason) {
+      notes.push(`Git setup will be skipped: ${skipReason}.`);
+    } else {
+      write(['.gitignore']);
+      commands.push('git init', 'git add -A', formatCommand('git', ['commit', '--no-verify', '-m', COMMIT_MESSAGE]));
+      if (options.gitHooks) {
+        commands.push(getExecCommand(packageManager, 'husky'));
+      }
+    }
+  }
+
+  const files = { created: [], modified: [], deleted: [] };
+  for (const relativePath of [...new Set([...written, ...removed])].sort()) {
+    const existed = await fs.pathExists(path.join(projectPath, relativePath));
+    const exists = written.has(relativePath) && !removed.has(relativePath);
+    if (exists) {
+      files[existed ? 'modified' : 'created'].push(relativePath);
+    } else if (existed) {
+      files.deleted.push(relativePath);
+    }
+  }
+
+  return {
+    projectName,
+    packageName,
+    projectPath,
+    workspace: workspace ? { root: workspace.root, directory: workspace.directory, file: workspace.file } : null,
+    options: {
+      template: appTemplate ? (typeof appTemplate === 'string' ? appTemplate : appTemplate.name) : templateSpec,
+      typescript: Boolean(options.typescript),
+      tailwind,
+      theme: options.theme,
+      primary: options.primary || null,
+      with: selectedAddons,
+      testing: options.testing,
+      lint: options.lint,
+      gitHooks: Boolean(options.gitHooks),
+      deploy: options.deploy,
+      packageManager,
+      git: options.git !== false
+    },
+    files,
+    packages: {
+      dependencies,
+      devDependencies: { ...packageJson.devDependencies }
+    },
+    commands,
+    notes
+  };
+}
+
+function printPlan(plan) {
+  const fileGroups = [
+    ['created', chalk.green('+')],
+    ['modified', chalk.yellow('~')],
+    ['deleted', chalk.red('-')]
+  ];
+
+  console.log(chalk.bold('Files'));
+  fileGroups.forEach(([group, marker]) => {
+    plan.files[group].forEach(file => console.log(`  ${marker} ${chalk.gray(group.padEnd(9))}${file}`));
+  });
+  console.log();
+
+  console.log(chalk.bold('Packages'));
+  ['dependencies', 'devDependencies'].forEach(group => {
+    const names = Object.keys(plan.packages[group]).sort();
+    console.log(`  ${chalk.gray(`${group}:`)} ${names.map(name => `${name}@${plan.packages[group][name]}`).join(', ') || 'none'}`);
+  });
+  console.log();
+
+  console.log(chalk.bold('Commands'));
+  plan.commands.forEach(command => console.log(chalk.cyan(`  ${command}`)));
+  console.log();
+
+  plan.notes.forEach(note => console.log(chalk.yellow(note)));
+  if (plan.notes.length > 0) {
+    console.log();
+  }
+}
+
+module.exports = {
+  planProject,
+  printPlan
+};
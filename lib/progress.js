@@ -0,0 +1,76 @@
+// Records what one run does and reports it to `onProgress` as plain event objects:
+//   { type: 'start', projectName, packageName, projectPath, options }
+//   { type: 'step', name, status: 'started' | 'succeeded' | 'failed', text, durationMs }
+//   { type: 'message', level: 'info' | 'warning' | 'error', text }
+// The CLI renders these as spinners or plain lines; API callers get them as they happen and
+// the same steps and messages in the result.
+function createProgress(onProgress = () => {}) {
+  const startedAt = Date.now();
+  const steps = [];
+  const messages = [];
+  const fields = {};
+
+  function report(level, text) {
+    messages.push({ level, text });
+    onProgress({ type: 'message', level, text });
+  }
+
+  // Runs one named step, timing it. `done` is the text reported afterwards, or a function of
+  // the step's result that may return null when the caller reports the outcome itself. A
+  // failing step tags the error with its name unless an inner step already did.
+  async function step(name, text, run, { done } = {}) {
+    const stepStartedAt = Date.now();
+    onProgress({ type: 'step', name, status: 'started', text });
+
+    try {
+      const value = await run();
+      const durationMs = Date.now() - stepStartedAt;
+      steps.push({ name, status: 'succeeded', durationMs });
+      const doneText = typeof done === 'function' ? done(value) : done || text;
+      onProgress({ type: 'step', name, status: 'succeeded', text: doneText, durationMs });
+      return value;
+    } catch (error) {
+      const durationMs = Date.now() - stepStartedAt;
+      steps.push({ name, status: 'failed', durationMs });
+      onProgress({ type: 'step', name, status: 'failed', text: `${text.replace(/\.\.\.$/, '')} failed`, durationMs });
+      if (!error.step) {
+        error.step = name;
+      }
+      throw error;
+    }
+  }
+
+  // Announces the project about to be scaffolded; its fields also go into the result
+  function start(values) {
+    Object.assign(fields, values);
+    onProgress({ type: 'start', ...values });
+  }
+
+  // Fields for the result, such as the installed packages
+  function set(values) {
+    Object.assign(fields, values);
+  }
+
+  function getResult() {
+    return {
+      ...fields,
+      steps: [...steps],
+      messages: [...messages],
+      durationMs: Date.now() - startedAt
+    };
+  }
+
+  return {
+    info: text => report('info', text),
+    warn: text => report('warning', text),
+    fail: text => report('error', text),
+    step,
+    start,
+    set,
+    getResult
+  };
+}
+
+module.exports = {
+  createProgress
+};
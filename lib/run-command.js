@@ -0,0 +1,64 @@
+const { execFile, spawn } = require('child_process');
+
+// `stdio` defaults to the terminal; --json sends the child's stdout to stderr instead. Aborting
+// `signal` kills the child. The shell lets package managers run as .cmd scripts on Windows, but
+// it does not quote `args`: pass `shell: false` for arguments that come from the user.
+async function runCommand(command, args, cwd, { stdio = 'inherit', signal, shell = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd: cwd,
+      shell,
+      stdio,
+      signal,
+      env: { ...process.env }
+    });
+
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`Command "${command} ${args.join(' ')}" failed with exit code ${code}`));
+      } else {
+        resolve();
+      }
+    });
+
+    child.on('error', (error) => {
+      reject(error);
+    });
+  });
+}
+
+// Runs a command without printing its output. Resolves with stdout and rejects with the first
+// line of stderr, e.g. for git commands whose failure is not fatal. No shell by default; npm
+// and friends need one on Windows, where they are .cmd scripts.
+async function runQuietly(command, args, cwd, { shell = false, timeout = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { cwd, shell, timeout, env: { ...process.env } }, (error, stdout, stderr) => {
+      if (error) {
+        const message = String(stderr).split('\n').map(line => line.trim()).find(Boolean);
+        reject(new Error(message || error.message));
+      } else {
+        resolve(String(stdout));
+      }
+    });
+  });
+}
+
+// For commands whose exit code is a result, such as `git merge-file`, which exits with the
+// number of conflicts. Resolves with the code and stdout; rejects only if the command cannot run.
+async function runWithExitCode(command, args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { cwd, env: { ...process.env } }, (error, stdout) => {
+      if (error && typeof error.code !== 'number') {
+        reject(error);
+      } else {
+        resolve({ code: error ? error.code : 0, stdout: String(stdout) });
+      }
+    });
+  });
+}
+
+module.exports = {
+  runCommand,
+  runQuietly,
+  runWithExitCode
+};
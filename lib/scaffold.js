@@ -0,0 +1,88 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+// npm strips dotfiles from published packages, so they are stored with a leading underscore
+const renameFiles = {
+  _gitignore: '.gitignore'
+};
+
+const textExtensions = ['.json', '.html', '.md', '.js', '.jsx', '.ts', '.tsx', '.css', '.svg', ''];
+
+function toValidPackageName(projectName) {
+  return projectName
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/^[._]/, '')
+    .replace(/[^a-z\d\-~]+/g, '-');
+}
+
+function renderString(content, variables) {
+  return content.replace(/\{\{(\w+)\}\}/g, (match, key) => (
+    Object.prototype.hasOwnProperty.call(variables, key) ? variables[key] : match
+  ));
+}
+
+async function renderDirectory(sourceDir, targetDir, variables) {
+  await fs.ensureDir(targetDir);
+  const entries = await fs.readdir(sourceDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const sourcePath = path.join(sourceDir, entry.name);
+    const targetPath = path.join(targetDir, renameFiles[entry.name] || entry.name);
+
+    if (entry.isDirectory()) {
+      await renderDirectory(sourcePath, targetPath, variables);
+    } else if (textExtensions.includes(path.extname(entry.name))) {
+      const content = await fs.readFile(sourcePath, 'utf-8');
+      await fs.writeFile(targetPath, renderString(content, variables));
+    } else {
+      await fs.copy(sourcePath, targetPath);
+    }
+  }
+}
+
+async function listFiles(dir, base = dir) {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(fullPath, base)));
+    } else {
+      const relativeDir = path.relative(base, dir);
+      files.push(path.join(relativeDir, renameFiles[entry.name] || entry.name).split(path.sep).join('/'));
+    }
+  }
+
+  return files;
+}
+
+// Paths (relative to the project root) that rendering the base template will write
+async function listBaseTemplateFiles(template) {
+  return listFiles(path.join(TEMPLATES_DIR, 'base', template));
+}
+
+async function renderBaseTemplate(projectPath, template, projectName, packageName = toValidPackageName(projectName)) {
+  const templateDir = path.join(TEMPLATES_DIR, 'base', template);
+
+  if (!(await fs.pathExists(templateDir))) {
+    throw new Error(`Unknown base template "${template}".`);
+  }
+
+  await renderDirectory(templateDir, projectPath, { projectName, packageName });
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  listBaseTemplateFiles,
+  renderBaseTemplate,
+  renderDirectory,
+  renderString,
+  renameFiles,
+  textExtensions,
+  toValidPackageName
+};
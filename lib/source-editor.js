@@ -0,0 +1,145 @@
+const path = require('path');
+const recast = require('recast');
+const babelParser = require('@babel/parser');
+
+const n = recast.types.namedTypes;
+const b = recast.types.builders;
+
+const parser = {
+  parse(source) {
+    return babelParser.parse(source, {
+      sourceType: 'module',
+      plugins: ['typescript', 'jsx'],
+      tokens: true
+    });
+  }
+};
+
+function parseExpression(source) {
+  const ast = recast.parse(`const value = ${source}`, { parser });
+  return ast.program.body[0].declarations[0].init;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parses a JS/TS module and offers the edits shared by every generated file we patch.
+// `print()` keeps the file's own quote and semicolon style.
+function createSourceEditor(source, filePath) {
+  const ast = recast.parse(source, { parser });
+  const quote = /from\s+"/.test(source) && !/from\s+'/.test(source) ? 'double' : 'single';
+  const semicolons = /^import .*;\s*$/m.test(source);
+  const program = ast.program;
+  const addedImports = [];
+  const typeReferences = [];
+
+  function fail(message) {
+    throw new Error(`Could not update ${path.basename(filePath)}: ${message}. Please apply the change by hand.`);
+  }
+
+  function getImports() {
+    return program.body.filter(statement => n.ImportDeclaration.check(statement));
+  }
+
+  // Adds `import local from 'source'` (or `import { imported as local }`) unless it is already there
+  function addImport({ from, imported = 'default', local }) {
+    const imports = getImports();
+    const existing = imports.find(statement => statement.source.value === from);
+
+    if (existing) {
+      const specifier = existing.specifiers.find(item => (
+        imported === 'default'
+          ? n.ImportDefaultSpecifier.check(item)
+          : n.ImportSpecifier.check(item) && item.imported.name === imported
+      ));
+      if (specifier) {
+        return specifier.local.name;
+      }
+    }
+
+    const specifier = imported === 'default'
+      ? b.importDefaultSpecifier(b.identifier(local))
+      : b.importSpecifier(b.identifier(imported), b.identifier(local));
+
+    if (existing) {
+      existing.specifiers.push(specifier);
+    } else {
+      const declaration = b.importDeclaration([specifier], b.stringLiteral(from));
+      addedImports.push(from);
+      const index = imports.length > 0 ? program.body.indexOf(imports[imports.length - 1]) + 1 : 0;
+      program.body.splice(index, 0, declaration);
+    }
+    return local;
+  }
+
+  function isReferenced(name) {
+    let referenced = false;
+    recast.visit(program, {
+      visitImportDeclaration() {
+        return false;
+      },
+      visitIdentifier(nodePath) {
+        referenced = referenced || nodePath.node.name === name;
+        return false;
+      },
+      visitJSXIdentifier(nodePath) {
+        referenced = referenced || nodePath.node.name === name;
+        return false;
+      }
+    });
+    return referenced;
+  }
+
+  // Drops the import of `local` once nothing else in the file refers to it
+  function removeUnusedImport(local) {
+    if (isReferenced(local)) {
+      return;
+    }
+    getImports().forEach(statement => {
+      const specifiers = statement.specifiers.filter(item => item.local.name !== local);
+      if (specifiers.length === statement.specifiers.length) {
+        return;
+      }
+      statement.specifiers = specifiers;
+      if (specifiers.length === 0) {
+        program.body.splice(program.body.indexOf(statement), 1);
+      }
+    });
+  }
+
+  // Adds `/// <reference types="..." />` at the top of the file, e.g. to type Vitest's `test` config
+  function addTypeReference(types) {
+    const existing = new RegExp(`^///\\s*<reference\\s+types=["']${escapeRegExp(types)}["']`, 'm');
+    if (!existing.test(source) && !typeReferences.includes(types)) {
+      typeReferences.push(types);
+    }
+  }
+
+  // recast prints new statements with a semicolon and a blank line before them; match the file instead
+  function tidy(code) {
+    return addedImports.reduce((output, from) => {
+      const line = new RegExp(`(^|\\n)\\n?(import [^\\n]*['"]${escapeRegExp(from)}['"]);?(?=\\n)`);
+      return output.replace(line, (match, start, statement) => `${start}${statement}${semicolons ? ';' : ''}`);
+    }, code);
+  }
+
+  function print() {
+    const references = typeReferences.map(types => `/// <reference types="${types}" />\n`).join('');
+    return references + tidy(recast.print(ast, { quote, trailingComma: true }).code);
+  }
+
+  return {
+    program,
+    fail,
+    addImport,
+    addTypeReference,
+    removeUnusedImport,
+    print
+  };
+}
+
+module.exports = {
+  createSourceEditor,
+  parseExpression
+};
@@ -0,0 +1,24 @@
+const tailwindPackages = ['tailwindcss', '@tailwindcss/vite'];
+
+// Single quotes, as the generated Prettier config formats CSS strings
+const TAILWIND_IMPORT = "@import 'tailwindcss';";
+
+// Editor callback for updateViteConfig()/transformViteConfig()
+function configureTailwind(config) {
+  config.addPlugin({ from: '@tailwindcss/vite', local: 'tailwindcss' });
+}
+
+// Puts the Tailwind import first, keeping any existing styles below it
+function addTailwindImport(css = '') {
+  if (css.includes(TAILWIND_IMPORT) || css.includes('@import "tailwindcss";')) {
+    return css;
+  }
+  return css.trim() === '' ? `${TAILWIND_IMPORT}\n` : `${TAILWIND_IMPORT}\n\n${css}`;
+}
+
+module.exports = {
+  TAILWIND_IMPORT,
+  addTailwindImport,
+  configureTailwind,
+  tailwindPackages
+};
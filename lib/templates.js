@@ -0,0 +1,153 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { TEMPLATES_DIR } = require('./scaffold');
+const { renderCustomTemplate } = require('./custom-templates');
+const { validationError } = require('./errors');
+
+const APP_TEMPLATES_DIR = path.join(TEMPLATES_DIR, 'app');
+// Files shared by every built-in Tailwind variant, such as the dark mode toggle
+const THEME_DIR = path.join(TEMPLATES_DIR, 'theme');
+
+const validTemplates = ['basic', 'dashboard', 'landing', 'blog'];
+
+// `template` is a built-in template name or a custom template returned by loadCustomTemplate()
+function getTemplateManifest(template) {
+  if (typeof template !== 'string') {
+    return template.manifest;
+  }
+  return require(path.join(APP_TEMPLATES_DIR, template, 'template.json'));
+}
+
+const templateDescriptions = validTemplates.reduce((descriptions, name) => {
+  descriptions[name] = getTemplateManifest(name).description;
+  return descriptions;
+}, {});
+
+// The built-in templates and which variants each ships: JavaScript, TypeScript, and both
+// languages without Tailwind (CSS Modules)
+function listTemplates() {
+  return validTemplates.map(name => {
+    const hasVariant = options => fs.pathExistsSync(path.join(APP_TEMPLATES_DIR, name, getVariantName(options)));
+    return {
+      name,
+      description: templateDescriptions[name],
+      javascript: hasVariant({ typescript: false }),
+      typescript: hasVariant({ typescript: true }),
+      noTailwind: hasVariant({ typescript: false, tailwind: false }) && hasVariant({ typescript: true, tailwind: false })
+    };
+  });
+}
+
+function getVariantName({ typescript, tailwind = true }) {
+  return `${tailwind ? 'tailwind' : 'css'}-${typescript ? 'ts' : 'js'}`;
+}
+
+async function readTree(dir, base = dir) {
+  const files = {};
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      Object.assign(files, await readTree(fullPath, base));
+    } else {
+      files[path.relative(base, fullPath).split(path.sep).join('/')] = await fs.readFile(fullPath, 'utf-8');
+    }
+  }
+
+  return files;
+}
+
+// Returns the template's source files keyed by their path relative to the project root
+async function generateAppTemplate(templateType, { typescript = false, tailwind = true } = {}) {
+  if (!validTemplates.includes(templateType)) {
+    throw validationError(`Unknown template "${templateType}". Available templates: ${validTemplates.join(', ')}`);
+  }
+  const variantDir = path.join(APP_TEMPLATES_DIR, templateType, getVariantName({ typescript, tailwind }));
+
+  if (!(await fs.pathExists(variantDir))) {
+    throw new Error(`Template "${templateType}" has no ${path.basename(variantDir)} variant.`);
+  }
+
+  const files = await readTree(variantDir);
+  if (tailwind) {
+    Object.assign(files, await readTree(path.join(THEME_DIR, typescript ? 'ts' : 'js')));
+  }
+  return files;
+}
+
+async function readTemplateFiles(template, options = {}) {
+  if (typeof template === 'string') {
+    return generateAppTemplate(template, options);
+  }
+  return renderCustomTemplate(template, options);
+}
+
+async function writeFiles(projectPath, files) {
+  for (const relativePath of Object.keys(files)) {
+    const filePath = path.join(projectPath, relativePath);
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, files[relativePath]);
+  }
+}
+
+// Merges top-level fields such as `scripts` or `devDependencies` into a package.json object.
+// Objects are merged key by key, anything else replaces the existing value.
+function mergePackageFields(packageJson, fields) {
+  const merged = { ...packageJson };
+  Object.keys(fields).filter(key => fields[key] !== undefined).forEach(key => {
+    const value = fields[key];
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject ? { ...merged[key], ...value } : value;
+  });
+  return merged;
+}
+
+async function mergePackageJson(projectPath, fields) {
+  if (Object.keys(fields).every(key => fields[key] === undefined)) {
+    return;
+  }
+
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  const packageJson = await fs.readJson(packageJsonPath);
+  await fs.writeJson(packageJsonPath, mergePackageFields(packageJson, fields), { spaces: 2 });
+}
+
+// Base template files that applying `files` makes obsolete: the stock App.css is only
+// imported by the stock App component
+function getObsoleteFiles(files) {
+  const replacesApp = files['src/App.jsx'] !== undefined || files['src/App.tsx'] !== undefined;
+  return replacesApp && files['src/App.css'] === undefined ? ['src/App.css'] : [];
+}
+
+function getManifestPackageFields(template) {
+  const { scripts, dependencies, devDependencies } = getTemplateManifest(template);
+  return { scripts, dependencies, devDependencies };
+}
+
+async function applyAppTemplate(projectPath, template, options = {}) {
+  const files = await readTemplateFiles(template, options);
+  await writeFiles(projectPath, files);
+  await mergePackageJson(projectPath, getManifestPackageFields(template));
+
+  for (const relativePath of getObsoleteFiles(files)) {
+    await fs.remove(path.join(projectPath, relativePath));
+  }
+}
+
+module.exports = {
+  APP_TEMPLATES_DIR,
+  applyAppTemplate,
+  generateAppTemplate,
+  getManifestPackageFields,
+  getObsoleteFiles,
+  getTemplateManifest,
+  listTemplates,
+  mergePackageFields,
+  mergePackageJson,
+  readTemplateFiles,
+  readTree,
+  templateDescriptions,
+  validTemplates,
+  writeFiles
+};
@@ -0,0 +1,56 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { TEMPLATES_DIR } = require('./scaffold');
+const { mergePackageJson, readTree, writeFiles } = require('./templates');
+const { updateViteConfig } = require('./vite-config');
+
+const TESTING_DIR = path.join(TEMPLATES_DIR, 'testing');
+
+const testingFrameworks = ['none', 'vitest'];
+
+// Vitest 4 and jsdom 29 are the newest releases that still run on Node 20, like Vite 7
+const vitestPackage = {
+  scripts: {
+    test: 'vitest'
+  },
+  devDependencies: {
+    '@testing-library/dom': '^10.4.2',
+    '@testing-library/jest-dom': '^6.9.1',
+    '@testing-library/react': '^16.3.3',
+    jsdom: '^29.1.1',
+    vitest: '^4.1.9'
+  }
+};
+
+// setupTests plus the starter tests for a built-in template; custom templates only get setupTests
+async function getTestingFiles(template, { typescript = false } = {}) {
+  const language = typescript ? 'ts' : 'js';
+  const files = await readTree(path.join(TESTING_DIR, 'common', language));
+
+  const templateDir = typeof template === 'string' ? path.join(TESTING_DIR, template, language) : null;
+  if (templateDir && await fs.pathExists(templateDir)) {
+    Object.assign(files, await readTree(templateDir));
+  }
+  return files;
+}
+
+// Editor callback for updateViteConfig()/transformViteConfig()
+function configureVitest(config, { typescript = false } = {}) {
+  const setupFile = `./src/setupTests.${typescript ? 'ts' : 'js'}`;
+  config.addTypeReference('vitest/config');
+  config.setProperty(['test'], `{ environment: 'jsdom', setupFiles: '${setupFile}' }`);
+}
+
+async function applyTesting(projectPath, template, options = {}) {
+  await writeFiles(projectPath, await getTestingFiles(template, options));
+  await mergePackageJson(projectPath, vitestPackage);
+  await updateViteConfig(projectPath, config => configureVitest(config, options));
+}
+
+module.exports = {
+  applyTesting,
+  configureVitest,
+  getTestingFiles,
+  testingFrameworks,
+  vitestPackage
+};
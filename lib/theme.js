@@ -0,0 +1,101 @@
+const { TAILWIND_IMPORT } = require('./tailwind');
+
+// Tailwind's built-in color palettes, which --primary accepts by name
+const paletteColors = [
+  'red', 'orange', 'amber', 'yellow', 'lime', 'green', 'emerald', 'teal', 'cyan', 'sky',
+  'blue', 'indigo', 'violet', 'purple', 'fuchsia', 'pink', 'rose',
+  'slate', 'gray', 'zinc', 'neutral', 'stone'
+];
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Each theme pairs a primary palette with the neutral palette used for surfaces and text
+const themes = {
+  default: { primary: 'blue', neutral: 'gray', description: 'blue on gray' },
+  ocean: { primary: 'sky', neutral: 'slate', description: 'sky blue on slate' },
+  forest: { primary: 'emerald', neutral: 'stone', description: 'emerald on stone' },
+  sunset: { primary: 'orange', neutral: 'stone', description: 'orange on stone' },
+  grape: { primary: 'violet', neutral: 'zinc', description: 'violet on zinc' }
+};
+
+const validThemes = Object.keys(themes);
+
+function isValidPrimary(value) {
+  return paletteColors.includes(value) || HEX_COLOR.test(value);
+}
+
+// Primary shades for light and dark mode. Palette names use Tailwind's own shades; a hex color
+// gets its hover and soft shades mixed from it.
+function getPrimaryShades(primary) {
+  if (HEX_COLOR.test(primary)) {
+    const mix = (amount, other) => `color-mix(in oklab, ${primary} ${amount}%, ${other})`;
+    return {
+      light: { primary, hover: mix(85, 'black'), soft: mix(12, 'white') },
+      dark: { primary, hover: mix(80, 'white'), soft: mix(25, 'black') }
+    };
+  }
+
+  const shade = step => `var(--color-${primary}-${step})`;
+  return {
+    light: { primary: shade(600), hover: shade(700), soft: shade(50) },
+    dark: { primary: shade(500), hover: shade(400), soft: shade(950) }
+  };
+}
+
+function getTokens(shades, neutral, mode) {
+  const gray = step => `var(--color-${neutral}-${step})`;
+  const dark = mode === 'dark';
+  return {
+    primary: shades.primary,
+    'primary-hover': shades.hover,
+    'primary-soft': shades.soft,
+    'primary-foreground': 'var(--color-white)',
+    background: dark ? gray(950) : gray(50),
+    surface: dark ? gray(900) : 'var(--color-white)',
+    'surface-muted': dark ? gray(800) : gray(100),
+    foreground: dark ? gray(50) : gray(900),
+    muted: dark ? gray(400) : gray(600),
+    border: dark ? gray(800) : gray(200)
+  };
+}
+
+function formatTokens(tokens, indent = '  ') {
+  return Object.keys(tokens).map(name => `${indent}--color-${name}: ${tokens[name]};`).join('\n');
+}
+
+// The src/index.css of a Tailwind project: the Tailwind import, a class-based dark variant and
+// semantic color tokens (bg-surface, text-muted, bg-primary, ...) that the templates use
+function getThemeCss({ theme = 'default', primary } = {}) {
+  const { neutral, primary: themePrimary } = themes[theme];
+  const shades = getPrimaryShades(primary || themePrimary);
+
+  return `${TAILWIND_IMPORT}
+
+/* dark: styles apply inside an element with the \`dark\` class, set on <html> by ThemeToggle */
+@custom-variant dark (&:where(.dark, .dark *));
+
+/* Theme "${theme}"${primary ? ` with primary ${primary}` : ''}. Change these to rebrand the app. */
+@theme {
+${formatTokens(getTokens(shades.light, neutral, 'light'))}
+}
+
+@layer base {
+  .dark {
+    color-scheme: dark;
+${formatTokens(getTokens(shades.dark, neutral, 'dark'), '    ')}
+  }
+
+  body {
+    @apply bg-background text-foreground;
+  }
+}
+`;
+}
+
+module.exports = {
+  getThemeCss,
+  isValidPrimary,
+  paletteColors,
+  themes,
+  validThemes
+};
@@ -0,0 +1,87 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Records what a scaffold is about to touch so a failed or interrupted run can be undone.
+// A directory that did not exist before is removed entirely; in an existing directory only
+// the tracked files are restored and the entries create-revite added are removed.
+function createTransaction(projectPath) {
+  let isNewDirectory = true;
+  let existingEntries = new Set();
+  const backups = new Map();
+  const createdDirectories = new Set();
+  let rollbackPromise = null;
+
+  async function begin() {
+    isNewDirectory = !(await fs.pathExists(projectPath));
+    if (!isNewDirectory) {
+      existingEntries = new Set(await fs.readdir(projectPath));
+    }
+  }
+
+  async function track(relativePaths) {
+    if (isNewDirectory) {
+      return;
+    }
+
+    for (const relativePath of relativePaths) {
+      if (backups.has(relativePath)) {
+        continue;
+      }
+
+      const filePath = path.join(projectPath, relativePath);
+      backups.set(relativePath, (await fs.pathExists(filePath)) ? await fs.readFile(filePath) : null);
+
+      let dir = path.dirname(filePath);
+      while (dir !== projectPath && !(await fs.pathExists(dir))) {
+        createdDirectories.add(dir);
+        dir = path.dirname(dir);
+      }
+    }
+  }
+
+  async function restore() {
+    if (isNewDirectory) {
+      await fs.remove(projectPath);
+      return;
+    }
+
+    for (const [relativePath, content] of backups) {
+      const filePath = path.join(projectPath, relativePath);
+      if (content === null) {
+        await fs.remove(filePath);
+      } else {
+        await fs.outputFile(filePath, content);
+      }
+    }
+
+    const directories = [...createdDirectories].sort((a, b) => b.length - a.length);
+    for (const dir of directories) {
+      await fs.remove(dir);
+    }
+
+    for (const entry of await fs.readdir(projectPath)) {
+      if (!existingEntries.has(entry)) {
+        await fs.remove(path.join(projectPath, entry));
+      }
+    }
+  }
+
+  // Safe to call more than once, e.g. from both SIGINT and the failing install
+  function rollback() {
+    if (!rollbackPromise) {
+      rollbackPromise = restore();
+    }
+    return rollbackPromise;
+  }
+
+  return {
+    begin,
+    track,
+    rollback,
+    isNewDirectory: () => isNewDirectory
+  };
+}
+
+module.exports = {
+  createTransaction
+};
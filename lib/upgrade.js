@@ -0,0 +1,297 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { createProject } = require('./create-project');
+const { parseTemplateSpec } = require('./custom-templates');
+const { ensureGitignore } = require('./git');
+const { MANIFEST_FILE, hashContent, readManifest, writeManifest } = require('./manifest');
+const { runQuietly, runWithExitCode } = require('./run-command');
+const { extendTsconfigBase, findWorkspace } = require('./workspace');
+const { printDiff } = require('./add');
+const { createError, validationError } = require('./errors');
+const { version } = require('../package.json');
+
+const appliedActions = ['create', 'update', 'merge', 'delete'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (!isObject(value)) {
+    return value;
+  }
+  return Object.keys(value).sort().reduce((sorted, key) => ({ ...sorted, [key]: sortKeys(value[key]) }), {});
+}
+
+const isSame = (a, b) => JSON.stringify(sortKeys(a)) === JSON.stringify(sortKeys(b));
+
+// Three-way merge of parsed JSON, key by key: what the template changed is taken unless the
+// project changed the same key another way. Returns the merged value and the conflicting keys.
+function mergeJson(ours, original, theirs, keyPath = []) {
+  if (isSame(ours, theirs) || isSame(theirs, original)) {
+    return { value: ours, conflicts: [] };
+  }
+  // Objects merge key by key, keeping the project's key order
+  if (isObject(ours) && isObject(theirs)) {
+    const base = isObject(original) ? original : {};
+    return [...new Set([...Object.keys(ours), ...Object.keys(theirs)])].reduce((merged, key) => {
+      const result = mergeJson(ours[key], base[key], theirs[key], [...keyPath, key]);
+      return {
+        value: result.value === undefined ? merged.value : { ...merged.value, [key]: result.value },
+        conflicts: [...merged.conflicts, ...result.conflicts]
+      };
+    }, { value: {}, conflicts: [] });
+  }
+  if (isSame(ours, original)) {
+    return { value: theirs, conflicts: [] };
+  }
+  return { value: ours, conflicts: [keyPath.join('.')] };
+}
+
+function mergePackageJsonContent(ours, original, theirs) {
+  const project = JSON.parse(ours);
+  const generated = JSON.parse(original);
+  const { value, conflicts } = mergeJson(project, generated, keepInstalledVersions(JSON.parse(theirs), generated));
+  // Package managers keep dependencies sorted, so added ones go in order too
+  ['dependencies', 'devDependencies']
+    .filter(field => isObject(value[field]) && Object.keys(value[field]).some(name => !(project[field] || {})[name]))
+    .forEach(field => {
+      value[field] = Object.keys(value[field]).sort().reduce((sorted, name) => ({ ...sorted, [name]: value[field][name] }), {});
+    });
+  return {
+    content: isSame(value, project) ? ours : Buffer.from(`${JSON.stringify(value, null, 2)}\n`),
+    conflicts
+  };
+}
+
+// Regenerating records installed packages as `latest`; the project's versions stand in for them
+function keepInstalledVersions(generated, project) {
+  const installed = { ...project.devDependencies, ...project.dependencies };
+  Object.keys(generated.dependencies || {})
+    .filter(name => generated.dependencies[name] === 'latest' && installed[name])
+    .forEach(name => {
+      generated.dependencies[name] = installed[name];
+    });
+  return generated;
+}
+
+// Line-based three-way merge with git. Resolves with null when the changes overlap.
+async function mergeText(ours, original, theirs, mergeDir) {
+  const files = { ours, original, theirs };
+  await Promise.all(Object.keys(files).map(name => fs.outputFile(path.join(mergeDir, name), files[name])));
+  const { code, stdout } = await runWithExitCode('git', ['merge-file', '-p', 'ours', 'original', 'theirs'], mergeDir);
+  if (code < 0 || code > 127) {
+    throw createError(`git merge-file failed with exit code ${code}`);
+  }
+  return code === 0 ? Buffer.from(stdout) : null;
+}
+
+// The generated version of a file, from the project's git history: the initial commit, or a
+// blob stored by an earlier upgrade. Null without git or once the object is gone.
+async function findOriginal(projectPath, hash) {
+  try {
+    const content = Buffer.from(await runQuietly('git', ['cat-file', '-p', hash], projectPath));
+    return hashContent(content) === hash ? content : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Scaffolds the project again from its manifest with the current templates, in a directory
+// with the project's name so the names in the files match. Nothing is installed.
+async function regenerateProject(projectPath, manifest, tempDir) {
+  const generatedPath = path.join(tempDir, manifest.projectName);
+  const source = parseTemplateSpec(manifest.template, projectPath);
+  const { options } = manifest;
+
+  await createProject({
+    ...options,
+    directory: generatedPath,
+    template: source && source.type === 'local' ? source.path : manifest.template,
+    variables: manifest.variables,
+    workspace: false,
+    workspaceTsconfig: false,
+    git: false,
+    install: false,
+    stdio: 'ignore'
+  });
+
+  // What scaffolding does in the real project's surroundings, redone in the temp directory
+  if (options.git) {
+    await ensureGitignore(generatedPath);
+  }
+  const workspace = options.workspaceTsconfig ? await findWorkspace(projectPath) : null;
+  if (workspace) {
+    await extendTsconfigBase(generatedPath, { ...workspace, root: path.join(generatedPath, path.relative(projectPath, workspace.root)) });
+  }
+  return generatedPath;
+}
+
+// What to do with one file, given the project's version (`ours`), the newly generated one
+// (`theirs`) and the hash of the version generated last time
+async function planFileChange(relativePath, { ours, theirs, hash, projectPath, mergeDir }) {
+  if (theirs === null) {
+    if (ours === null) {
+      return null;
+    }
+    return hashContent(ours) === hash
+      ? { action: 'delete' }
+      : { action: 'conflict', reason: 'removed from the template, but changed in the project' };
+  }
+  if (ours === null) {
+    return hash ? { action: 'skip', reason: 'deleted in the project' } : { action: 'create', content: theirs };
+  }
+  if (ours.equals(theirs) || hashContent(theirs) === hash) {
+    return null;
+  }
+
+  const isPackageJson = relativePath === 'package.json';
+  const unchanged = hashContent(ours) === hash;
+  if (unchanged && !isPackageJson) {
+    return { action: 'update', content: theirs };
+  }
+  if (!hash) {
+    return { action: 'conflict', reason: 'exists in the project, but create-revite did not generate it' };
+  }
+
+  const original = unchanged ? ours : await findOriginal(projectPath, hash);
+  if (!original) {
+    return { action: 'conflict', reason: 'changed in the project, and the generated version is not in its git history' };
+  }
+
+  // package.json is merged key by key, so installs and reordering do not get in the way
+  if (isPackageJson) {
+    const { content, conflicts } = mergePackageJsonContent(ours, original, theirs);
+    if (conflicts.length > 0) {
+      return { action: 'conflict', reason: `changed in the project and the template: ${conflicts.join(', ')}`, original };
+    }
+    return content === ours ? null : { action: unchanged ? 'update' : 'merge', content };
+  }
+
+  if ([ours, original, theirs].some(buffer => buffer.includes(0))) {
+    return { action: 'conflict', reason: 'binary file changed in the project and the template', original };
+  }
+  const merged = await mergeText(ours, original, theirs, path.join(mergeDir, relativePath));
+  return merged
+    ? { action: 'merge', content: merged }
+    : { action: 'conflict', reason: 'changed in the project and the template on the same lines', original };
+}
+
+async function loadManifest(projectPath) {
+  const manifest = await readManifest(projectPath);
+  if (!manifest) {
+    throw validationError(`${projectPath} has no ${MANIFEST_FILE}. Only projects scaffolded by a create-revite version that writes one can be upgraded.`);
+  }
+  return manifest;
+}
+
+// Regenerates the project with the current templates and works out, file by file, what an
+// upgrade would change. Call `cleanup()` on the result once done with it.
+async function planUpgrade(projectPath, manifest) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-upgrade-'));
+  const cleanup = () => fs.remove(tempDir);
+
+  try {
+    const generatedPath = await regenerateProject(projectPath, manifest, tempDir);
+    const generated = await readManifest(generatedPath);
+    const readFile = async (dir, relativePath) => {
+      const filePath = path.join(dir, relativePath);
+      return (await fs.pathExists(filePath)) ? fs.readFile(filePath) : null;
+    };
+
+    const packageJson = await readFile(projectPath, 'package.json');
+    if (packageJson && generated.files['package.json']) {
+      const generatedPackageJson = await fs.readJson(path.join(generatedPath, 'package.json'));
+      await fs.writeJson(path.join(generatedPath, 'package.json'), keepInstalledVersions(generatedPackageJson, JSON.parse(packageJson)), { spaces: 2 });
+    }
+
+    const changes = [];
+    const files = {};
+    const relativePaths = [...new Set([...Object.keys(manifest.files), ...Object.keys(generated.files)])].sort();
+    for (const relativePath of relativePaths) {
+      const hash = manifest.files[relativePath] || null;
+      const ours = await readFile(projectPath, relativePath);
+      const theirs = generated.files[relativePath] ? await readFile(generatedPath, relativePath) : null;
+      const change = await planFileChange(relativePath, { ours, theirs, hash, projectPath, mergeDir: path.join(tempDir, 'merge') });
+
+      // Conflicting and skipped files keep their old hash, so the next upgrade tries them again
+      const nextHash = change && !appliedActions.includes(change.action) ? hash : theirs && hashContent(theirs);
+      if (nextHash) {
+        files[relativePath] = nextHash;
+      }
+      if (change) {
+        changes.push({ path: relativePath, before: ours, theirs, ...change });
+      }
+    }
+
+    return { from: manifest.version, to: version, manifest, files, changes, generatedPath, cleanup };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+// Writes the changes and the new manifest. The generated versions are stored in the project's
+// git objects, so the next upgrade can merge against them even before they are committed.
+async function applyUpgrade(projectPath, plan) {
+  const applied = plan.changes.filter(change => appliedActions.includes(change.action));
+  for (const change of applied) {
+    const filePath = path.join(projectPath, change.path);
+    await (change.action === 'delete' ? fs.remove(filePath) : fs.outputFile(filePath, change.content));
+  }
+  await writeManifest(projectPath, { ...plan.manifest, files: plan.files });
+
+  const generatedFiles = applied.filter(change => change.theirs).map(change => path.join(plan.generatedPath, change.path));
+  if (generatedFiles.length > 0) {
+    try {
+      await runQuietly('git', ['hash-object', '-w', '--', ...generatedFiles], projectPath);
+    } catch (error) {
+      // Not a git repository: a later upgrade reports changed files as conflicts instead
+    }
+  }
+  return applied;
+}
+
+const isText = buffer => buffer === null || !buffer.includes(0);
+
+function printUpgrade(plan) {
+  const markers = {
+    create: [chalk.green('+'), 'created'],
+    update: [chalk.yellow('~'), 'updated'],
+    merge: [chalk.yellow('~'), 'merged'],
+    delete: [chalk.red('-'), 'deleted'],
+    conflict: [chalk.red('!'), 'conflict'],
+    skip: [chalk.gray('-'), 'skipped']
+  };
+
+  console.log(chalk.bold('Files'));
+  plan.changes.forEach(change => {
+    const [marker, label] = markers[change.action];
+    console.log(`  ${marker} ${chalk.gray(label.padEnd(9))}${change.path}${change.reason ? chalk.gray(` (${change.reason})`) : ''}`);
+  });
+  console.log();
+
+  printDiff(plan.changes
+    .filter(change => change.content && isText(change.content) && isText(change.before))
+    .map(change => ({ path: change.path, before: change.before && String(change.before), after: String(change.content) })));
+
+  // For conflicts, what changed in the template since the project was generated
+  const conflicts = plan.changes.filter(change => change.original && isText(change.original) && isText(change.theirs));
+  if (conflicts.length > 0) {
+    console.log(chalk.bold('Template changes to apply by hand'));
+    console.log();
+    printDiff(conflicts.map(change => ({ path: change.path, before: String(change.original), after: String(change.theirs) })));
+  }
+}
+
+module.exports = {
+  appliedActions,
+  applyUpgrade,
+  loadManifest,
+  mergeJson,
+  planUpgrade,
+  printUpgrade
+};
@@ -0,0 +1,177 @@
+const path = require('path');
+const fs = require('fs-extra');
+const recast = require('recast');
+const { createSourceEditor, parseExpression } = require('./source-editor');
+
+const n = recast.types.namedTypes;
+const b = recast.types.builders;
+
+const configFiles = ['vite.config.ts', 'vite.config.js', 'vite.config.mts', 'vite.config.mjs'];
+
+function getPropertyName(property) {
+  if (!property.key) {
+    return null;
+  }
+  return property.key.type === 'Identifier' ? property.key.name : property.key.value;
+}
+
+function isProperty(node) {
+  return node.type === 'ObjectProperty' || node.type === 'Property';
+}
+
+// Unwraps `defineConfig({...})`, `defineConfig(() => ({...}))` and `defineConfig(() => { return {...} })`
+function resolveConfigObject(node) {
+  if (!node) {
+    return null;
+  }
+  if (n.ObjectExpression.check(node)) {
+    return node;
+  }
+  if (n.TSAsExpression.check(node) || n.TSSatisfiesExpression.check(node)) {
+    return resolveConfigObject(node.expression);
+  }
+  if (n.CallExpression.check(node)) {
+    return resolveConfigObject(node.arguments[0]);
+  }
+  if (n.ArrowFunctionExpression.check(node) || n.FunctionExpression.check(node)) {
+    if (!n.BlockStatement.check(node.body)) {
+      return resolveConfigObject(node.body);
+    }
+    const returned = node.body.body.filter(statement => n.ReturnStatement.check(statement));
+    return returned.length === 1 ? resolveConfigObject(returned[0].argument) : null;
+  }
+  return null;
+}
+
+function createEditor(source) {
+  const { program, fail, addImport, addTypeReference } = source;
+
+  function getConfigObject() {
+    const exported = program.body.find(statement => n.ExportDefaultDeclaration.check(statement));
+    if (!exported) {
+      fail('no default export found');
+    }
+
+    let declaration = exported.declaration;
+    if (n.Identifier.check(declaration)) {
+      const binding = program.body
+        .filter(statement => n.VariableDeclaration.check(statement))
+        .flatMap(statement => statement.declarations)
+        .find(declarator => declarator.id.name === declaration.name);
+      declaration = binding && binding.init;
+    }
+
+    const config = resolveConfigObject(declaration);
+    if (!config) {
+      fail('the default export is not a config object or defineConfig() call');
+    }
+    return config;
+  }
+
+  function findProperty(object, name) {
+    return object.properties.find(property => isProperty(property) && getPropertyName(property) === name);
+  }
+
+  function getObjectProperty(object, name) {
+    let property = findProperty(object, name);
+    if (!property) {
+      property = b.objectProperty(b.identifier(name), b.objectExpression([]));
+      object.properties.push(property);
+    }
+    if (!n.ObjectExpression.check(property.value)) {
+      fail(`"${name}" is not an object literal`);
+    }
+    return property.value;
+  }
+
+  // Adds `local(...args)` to `plugins`, importing it from `from`; does nothing if the plugin is already used
+  function addPlugin({ from, imported = 'default', local, args = [] }) {
+    const name = addImport({ from, imported, local });
+    const config = getConfigObject();
+
+    let plugins = findProperty(config, 'plugins');
+    if (!plugins) {
+      plugins = b.objectProperty(b.identifier('plugins'), b.arrayExpression([]));
+      config.properties.unshift(plugins);
+    }
+    if (!n.ArrayExpression.check(plugins.value)) {
+      fail('"plugins" is not an array literal');
+    }
+
+    const alreadyAdded = plugins.value.elements.some(element => (
+      n.CallExpression.check(element) && n.Identifier.check(element.callee) && element.callee.name === name
+    ));
+    if (!alreadyAdded) {
+      plugins.value.elements.push(b.callExpression(b.identifier(name), args.map(parseExpression)));
+    }
+  }
+
+  // Sets a (possibly nested) config property, e.g. setProperty(['resolve', 'alias'], "{ '@': '/src' }").
+  // Existing values are kept unless `overwrite` is set.
+  function setProperty(keyPath, valueSource, { overwrite = false } = {}) {
+    let object = getConfigObject();
+    keyPath.slice(0, -1).forEach(key => {
+      object = getObjectProperty(object, key);
+    });
+
+    const key = keyPath[keyPath.length - 1];
+    const existing = findProperty(object, key);
+    if (existing && !overwrite) {
+      return false;
+    }
+
+    const value = parseExpression(valueSource);
+    if (existing) {
+      existing.value = value;
+    } else {
+      object.properties.push(b.objectProperty(b.identifier(key), value));
+    }
+    return true;
+  }
+
+  return {
+    addImport,
+    addTypeReference,
+    addPlugin,
+    setProperty
+  };
+}
+
+async function findViteConfig(projectPath) {
+  for (const file of configFiles) {
+    const configPath = path.join(projectPath, file);
+    if (await fs.pathExists(configPath)) {
+      return configPath;
+    }
+  }
+  return null;
+}
+
+function transformViteConfig(source, update, configPath = 'vite.config.js') {
+  const sourceEditor = createSourceEditor(source, configPath);
+  update(createEditor(sourceEditor));
+  return sourceEditor.print();
+}
+
+// Parses the project's vite.config, lets `update` edit it and writes it back if anything changed
+async function updateViteConfig(projectPath, update) {
+  const configPath = await findViteConfig(projectPath);
+  if (!configPath) {
+    throw new Error(`No vite.config file found in ${projectPath}.`);
+  }
+
+  const source = await fs.readFile(configPath, 'utf-8');
+  const output = transformViteConfig(source, update, configPath);
+
+  if (output !== source) {
+    await fs.writeFile(configPath, output);
+  }
+  return output !== source;
+}
+
+module.exports = {
+  configFiles,
+  findViteConfig,
+  transformViteConfig,
+  updateViteConfig
+};
@@ -0,0 +1,328 @@
+const chalk = require('chalk');
+const prompts = require('prompts');
+const validateProjectName = require('validate-npm-package-name');
+const { getTemplateManifest, templateDescriptions, validTemplates } = require('./templates');
+const { addons, isAddonIncluded, validAddons } = require('./addons');
+const { testingFrameworks } = require('./testing');
+const { lintPresets } = require('./linting');
+const { packageManagers, detectPackageManager } = require('./package-managers');
+const { savePreset } = require('./config');
+const { themes, validThemes } = require('./theme');
+const { deployConfigs, deployTargets } = require('./deploy');
+const { createProgress } = require('./progress');
+const { notInteractiveError, validationError } = require('./errors');
+
+const defaultOptions = {
+  template: 'basic',
+  typescript: false,
+  tailwind: true,
+  theme: 'default',
+  with: [],
+  testing: 'none',
+  lint: 'default',
+  gitHooks: false,
+  deploy: 'none',
+  packageManager: detectPackageManager()
+};
+
+function validateProjectDirectory(value) {
+  if (value === '.') {
+    return true;
+  }
+
+  const validation = validateProjectName(value);
+  if (validation.validForNewPackages) {
+    return true;
+  }
+
+  const problems = [...(validation.errors || []), ...(validation.warnings || [])];
+  return `Invalid project name: ${problems[0]}`;
+}
+
+function printSummary(projectDirectory, options) {
+  const rows = [
+    ['Project', !projectDirectory || projectDirectory === '.' ? 'current directory' : projectDirectory],
+    ['Template', options.template],
+    ['Language', options.typescript ? 'TypeScript' : 'JavaScript'],
+    ['Tailwind CSS', options.tailwind ? 'yes' : 'no'],
+    ['Theme', options.tailwind ? `${options.theme}${options.primary ? ` (primary: ${options.primary})` : ''}` : 'none'],
+    ['Add-ons', options.with.length > 0 ? options.with.join(', ') : 'none'],
+    ['Testing', options.testing === 'vitest' ? 'Vitest + Testing Library' : 'none'],
+    ['Linting', options.lint === 'none' ? "create-vite's ESLint" : `ESLint (${options.lint}) + Prettier`],
+    ['Git hooks', options.gitHooks ? 'yes' : 'no'],
+    ['Deploy', options.deploy === 'none' ? 'none' : deployConfigs[options.deploy].label],
+    ['Package manager', options.packageManager]
+  ];
+
+  console.log();
+  rows.forEach(([label, value]) => console.log(`  ${chalk.gray(label.padEnd(17))}${chalk.cyan(value)}`));
+  console.log();
+}
+
+function pickProvided(options, provided) {
+  const picked = { ...options };
+  Object.keys(defaultOptions).forEach(key => {
+    if (!provided.has(key)) {
+      delete picked[key];
+    }
+  });
+  return picked;
+}
+
+function templateChoices(defaultTemplate) {
+  const choices = validTemplates.map(name => ({
+    title: name,
+    description: templateDescriptions[name],
+    value: name
+  }));
+  // A custom template set as the default in a config file
+  if (!validTemplates.includes(defaultTemplate)) {
+    choices.push({ title: defaultTemplate, description: 'custom template from your config', value: defaultTemplate });
+  }
+  return choices;
+}
+
+// Asks for every value that was not given on the command line or by a preset, starting from
+// `defaults` (the built-in defaults merged with any config files). Returns null if the user cancels.
+async function runWizard(projectDirectory, options, provided, defaults = defaultOptions) {
+  if (options.yes || options.ci) {
+    return {
+      projectDirectory,
+      options: { ...defaults, ...pickProvided(options, provided) }
+    };
+  }
+
+  const missing = ['projectDirectory', ...Object.keys(defaultOptions)].filter(key => !provided.has(key));
+  if (missing.length === 0) {
+    return { projectDirectory, options };
+  }
+
+  let cancelled = false;
+  const onCancel = () => {
+    cancelled = true;
+    return false;
+  };
+
+  const answers = await prompts([
+    {
+      type: provided.has('projectDirectory') ? null : 'text',
+      name: 'projectDirectory',
+      message: 'Project name (use . for the current directory):',
+      initial: 'my-revite-app',
+      format: value => value.trim(),
+      validate: value => validateProjectDirectory(value.trim())
+    },
+    {
+      type: provided.has('template') ? null : 'select',
+      name: 'template',
+      message: 'Select a template:',
+      choices: templateChoices(defaults.template),
+      initial: templateChoices(defaults.template).findIndex(choice => choice.value === defaults.template)
+    },
+    {
+      type: provided.has('typescript') ? null : 'select',
+      name: 'typescript',
+      message: 'Select a language:',
+      choices: [
+        { title: 'JavaScript', value: false },
+        { title: 'TypeScript', value: true }
+      ],
+      initial: defaults.typescript ? 1 : 0
+    },
+    {
+      type: provided.has('tailwind') ? null : 'toggle',
+      name: 'tailwind',
+      message: 'Use Tailwind CSS?',
+      initial: defaults.tailwind,
+      active: 'yes',
+      inactive: 'no'
+    },
+    {
+      // Themes are Tailwind tokens, so there is nothing to ask without Tailwind
+      type: (prev, values) => {
+        const tailwind = provided.has('tailwind') ? options.tailwind : values.tailwind;
+        return provided.has('theme') || tailwind === false ? null : 'select';
+      },
+      name: 'theme',
+      message: 'Select a color theme:',
+      choices: validThemes.map(name => ({ title: name, description: themes[name].description, value: name })),
+      initial: validThemes.indexOf(defaults.theme)
+    },
+    {
+      type: provided.has('with') ? null : 'multiselect',
+      name: 'with',
+      message: 'Select add-ons:',
+      // Hide add-ons the chosen built-in template already sets up
+      choices: (prev, values) => {
+        const template = values.template || options.template;
+        const manifest = validTemplates.includes(template) ? getTemplateManifest(template) : {};
+        return validAddons
+          .filter(name => !isAddonIncluded(name, manifest))
+          .map(name => ({ title: name, description: addons[name].description, value: name, selected: defaults.with.includes(name) }));
+      },
+      hint: '- Space to select. Return to submit',
+      instructions: false
+    },
+    {
+      type: provided.has('testing') ? null : 'select',
+      name: 'testing',
+      message: 'Set up testing?',
+      choices: [
+        { title: 'No', value: 'none' },
+        { title: 'Vitest + Testing Library', value: 'vitest' }
+      ],
+      initial: testingFrameworks.indexOf(defaults.testing)
+    },
+    {
+      type: provided.has('lint') ? null : 'select',
+      name: 'lint',
+      message: 'Select a lint preset:',
+      choices: [
+        { title: 'default', description: 'create-vite ESLint rules + Prettier', value: 'default' },
+        { title: 'strict', description: 'type-checked TypeScript rules, stricter React and Tailwind checks + Prettier', value: 'strict' },
+        { title: 'none', description: "create-vite's ESLint config only, no Prettier", value: 'none' }
+      ],
+      initial: lintPresets.indexOf(defaults.lint)
+    },
+    {
+      // Hooks run ESLint and Prettier, so there is nothing to ask without a preset
+      type: (prev, values) => (provided.has('gitHooks') || (values.lint || options.lint) === 'none' ? null : 'toggle'),
+      name: 'gitHooks',
+      message: 'Lint and format staged files before each commit?',
+      initial: defaults.gitHooks,
+      active: 'yes',
+      inactive: 'no'
+    },
+    {
+      type: provided.has('deploy') ? null : 'select',
+      name: 'deploy',
+      message: 'Add deployment config?',
+      choices: deployTargets.map(name => ({
+        title: name,
+        description: name === 'none' ? 'no deployment config' : deployConfigs[name].description,
+        value: name
+      })),
+      initial: deployTargets.indexOf(defaults.deploy)
+    },
+    {
+      type: provided.has('packageManager') ? null : 'select',
+      name: 'packageManager',
+      message: 'Select a package manager:',
+      choices: packageManagers.map(name => ({ title: name, value: name })),
+      initial: packageManagers.indexOf(defaults.packageManager)
+    }
+  ], { onCancel });
+
+  if (cancelled) {
+    return null;
+  }
+
+  const resolved = {
+    projectDirectory: provided.has('projectDirectory') ? projectDirectory : answers.projectDirectory,
+    options: { ...defaults, ...pickProvided(options, provided), ...answers }
+  };
+  delete resolved.options.projectDirectory;
+
+  printSummary(resolved.projectDirectory, resolved.options);
+
+  const { confirmed } = await prompts({
+    type: 'confirm',
+    name: 'confirmed',
+    message: 'Create project with these settings?',
+    initial: true
+  }, { onCancel });
+
+  if (cancelled || !confirmed) {
+    return null;
+  }
+
+  const { save, presetName } = await prompts([
+    {
+      type: 'toggle',
+      name: 'save',
+      message: 'Save these answers as a preset?',
+      initial: false,
+      active: 'yes',
+      inactive: 'no'
+    },
+    {
+      type: prev => (prev ? 'text' : null),
+      name: 'presetName',
+      message: 'Preset name:',
+      format: value => value.trim(),
+      validate: value => /^[\w-]+$/.test(value.trim()) || 'Use letters, numbers, - and _'
+    }
+  ], { onCancel });
+
+  if (cancelled) {
+    return null;
+  }
+
+  if (save) {
+    const preset = {};
+    Object.keys(defaultOptions).forEach(key => {
+      preset[key] = resolved.options[key];
+    });
+    const configLabel = await savePreset(presetName, preset);
+    console.log(chalk.gray(`Saved preset "${presetName}" to ${configLabel}. Use it with --preset ${presetName}`));
+  }
+
+  return resolved;
+}
+
+// Fills in the variables a custom template declares, from --var values, prompts or defaults.
+// Unknown values are reported as warnings to `progress`. Returns null if the user cancels.
+async function resolveTemplateVariables(definitions = {}, values = {}, { interactive = true, progress = createProgress() } = {}) {
+  const names = Object.keys(definitions);
+  const unknown = Object.keys(values).filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    progress.warn(`Ignoring unknown template variable${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  }
+
+  const resolved = {};
+  const missing = [];
+  names.forEach(name => {
+    if (values[name] !== undefined) {
+      resolved[name] = values[name];
+    } else if (!interactive && definitions[name].default !== undefined) {
+      resolved[name] = definitions[name].default;
+    } else {
+      missing.push(name);
+    }
+  });
+
+  if (missing.length === 0) {
+    return resolved;
+  }
+
+  if (!interactive) {
+    throw validationError(`Missing template variable${missing.length > 1 ? 's' : ''} ${missing.join(', ')}. Pass ${missing.map(name => `--var ${name}=...`).join(' ')}`);
+  }
+  if (!process.stdin.isTTY) {
+    throw notInteractiveError(`for template variable${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`, `Pass ${missing.map(name => `--var ${name}=...`).join(' ')}, or use --yes for the defaults.`);
+  }
+
+  let cancelled = false;
+  const answers = await prompts(missing.map(name => ({
+    type: 'text',
+    name,
+    message: definitions[name].description || name,
+    initial: definitions[name].default,
+    validate: value => value.trim() !== '' || `${name} is required`
+  })), {
+    onCancel: () => {
+      cancelled = true;
+      return false;
+    }
+  });
+
+  return cancelled ? null : { ...resolved, ...answers };
+}
+
+module.exports = {
+  defaultOptions,
+  printSummary,
+  resolveTemplateVariables,
+  runWizard,
+  validateProjectDirectory
+};
@@ -0,0 +1,168 @@
+const path = require('path');
+const fs = require('fs-extra');
+const YAML = require('yaml');
+const { lockfiles, packageManagers } = require('./package-managers');
+
+const PNPM_WORKSPACE_FILE = 'pnpm-workspace.yaml';
+const TSCONFIG_BASE_FILE = 'tsconfig.base.json';
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+// `workspaces` is either a list of globs or, for yarn, an object with a `packages` list
+function getPackageJsonPatterns(packageJson) {
+  const { workspaces } = packageJson;
+  if (Array.isArray(workspaces)) {
+    return workspaces;
+  }
+  if (workspaces && Array.isArray(workspaces.packages)) {
+    return workspaces.packages;
+  }
+  return null;
+}
+
+async function readWorkspace(dir) {
+  const pnpmPath = path.join(dir, PNPM_WORKSPACE_FILE);
+  if (await fs.pathExists(pnpmPath)) {
+    const document = YAML.parse(await fs.readFile(pnpmPath, 'utf-8')) || {};
+    return { root: dir, file: PNPM_WORKSPACE_FILE, patterns: document.packages || [] };
+  }
+
+  const packageJsonPath = path.join(dir, 'package.json');
+  if (await fs.pathExists(packageJsonPath)) {
+    const patterns = getPackageJsonPatterns(await fs.readJson(packageJsonPath));
+    if (patterns) {
+      return { root: dir, file: 'package.json', patterns };
+    }
+  }
+  return null;
+}
+
+// The `packageManager` field wins, then pnpm-workspace.yaml, then the lockfile at the root
+async function detectWorkspacePackageManager(workspace) {
+  const packageJsonPath = path.join(workspace.root, 'package.json');
+  const packageJson = (await fs.pathExists(packageJsonPath)) ? await fs.readJson(packageJsonPath) : {};
+  const declared = typeof packageJson.packageManager === 'string' ? packageJson.packageManager.split('@')[0] : null;
+  if (packageManagers.includes(declared)) {
+    return declared;
+  }
+  if (workspace.file === PNPM_WORKSPACE_FILE) {
+    return 'pnpm';
+  }
+  for (const name of packageManagers) {
+    for (const lockfile of lockfiles[name]) {
+      if (await fs.pathExists(path.join(workspace.root, lockfile))) {
+        return name;
+      }
+    }
+  }
+  return 'npm';
+}
+
+// The nearest enclosing workspace root above `projectPath`, or null. `directory` is the
+// project's path relative to the root, as used in workspace globs.
+async function findWorkspace(projectPath) {
+  let dir = path.dirname(path.resolve(projectPath));
+  while (true) {
+    const workspace = await readWorkspace(dir);
+    if (workspace) {
+      const result = {
+        ...workspace,
+        directory: toPosix(path.relative(dir, path.resolve(projectPath))),
+        hasTsconfigBase: await fs.pathExists(path.join(dir, TSCONFIG_BASE_FILE))
+      };
+      result.packageManager = await detectWorkspacePackageManager(result);
+      return result;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/^\.\//, '')
+    .replace(/\/+$/, '')
+    .split('**')
+    .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+// Whether the workspace globs already include `directory`, honoring `!` exclusions
+function isRegistered(patterns, directory) {
+  const matches = pattern => globToRegExp(pattern).test(directory);
+  const included = patterns.filter(pattern => !pattern.startsWith('!')).some(matches);
+  const excluded = patterns.filter(pattern => pattern.startsWith('!')).some(pattern => matches(pattern.slice(1)));
+  return included && !excluded;
+}
+
+// Adds the project to the workspace's package list unless a glob already covers it.
+// Returns the root file that was changed, or null.
+async function registerWorkspacePackage(workspace) {
+  if (isRegistered(workspace.patterns, workspace.directory)) {
+    return null;
+  }
+
+  const filePath = path.join(workspace.root, workspace.file);
+  if (workspace.file === PNPM_WORKSPACE_FILE) {
+    // Editing the document rather than the parsed data keeps comments and formatting
+    const document = YAML.parseDocument(await fs.readFile(filePath, 'utf-8'));
+    if (!document.has('packages')) {
+      document.set('packages', document.createNode([]));
+    }
+    document.get('packages').add(workspace.directory);
+    await fs.writeFile(filePath, document.toString());
+  } else {
+    const packageJson = await fs.readJson(filePath);
+    getPackageJsonPatterns(packageJson).push(workspace.directory);
+    await fs.writeJson(filePath, packageJson, { spaces: 2 });
+  }
+  return workspace.file;
+}
+
+// Adds `extends` pointing at the root tsconfig.base.json to the app and node tsconfigs.
+// They contain comments, so the property is inserted as text rather than through JSON.
+async function extendTsconfigBase(projectPath, workspace) {
+  const basePath = toPosix(path.relative(projectPath, path.join(workspace.root, TSCONFIG_BASE_FILE)));
+  const updated = [];
+
+  for (const file of ['tsconfig.app.json', 'tsconfig.node.json']) {
+    const filePath = path.join(projectPath, file);
+    if (!(await fs.pathExists(filePath))) {
+      continue;
+    }
+    const content = await fs.readFile(filePath, 'utf-8');
+    if (/"extends"\s*:/.test(content)) {
+      continue;
+    }
+    await fs.writeFile(filePath, content.replace(/^\{\s*\n/, `{\n  "extends": "${basePath}",\n`));
+    updated.push(file);
+  }
+  return updated;
+}
+
+// A package name under a scope such as @acme, for --workspace-package
+function getScopedPackageName(scope, packageName) {
+  return `${scope.startsWith('@') ? scope : `@${scope}`}/${packageName}`;
+}
+
+function isValidScope(scope) {
+  return /^@?[a-z\d~-][a-z\d._~-]*$/.test(scope);
+}
+
+module.exports = {
+  PNPM_WORKSPACE_FILE,
+  TSCONFIG_BASE_FILE,
+  extendTsconfigBase,
+  findWorkspace,
+  getScopedPackageName,
+  isRegistered,
+  isValidScope,
+  registerWorkspacePackage
+};
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+// Scaffolds every built-in template in each language and styling variant, plus every add-on,
+// then runs the generated project's own lint, tests, Prettier check and build. A fresh project
+// must pass all of them. Installs from the registry, so a full run takes a while; pass names
+// to run only the matching variants, e.g. `npm run check:templates -- basic-ts addons-js`.
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { createProject, validAddons, validTemplates } = require('..');
+const { runCommand } = require('../lib/run-command');
+
+const checks = [
+  ['npm', ['run', 'lint']],
+  ['npm', ['test', '--', '--run']],
+  ['npm', ['run', 'format:check']],
+  ['npm', ['run', 'build']]
+];
+
+function getVariants() {
+  const variants = [];
+  validTemplates.forEach(template => {
+    [false, true].forEach(typescript => {
+      [true, false].forEach(tailwind => {
+        variants.push({
+          name: `${template}-${typescript ? 'ts' : 'js'}${tailwind ? '' : '-css'}`,
+          options: { template, typescript, tailwind }
+        });
+      });
+    });
+  });
+  [false, true].forEach(typescript => {
+    variants.push({
+      name: `addons-${typescript ? 'ts' : 'js'}`,
+      options: { template: 'basic', typescript, with: validAddons }
+    });
+  });
+  return variants;
+}
+
+async function checkVariant({ name, options }, tempDir) {
+  const projectPath = path.join(tempDir, name);
+  await createProject({
+    ...options,
+    directory: projectPath,
+    testing: 'vitest',
+    lint: 'default',
+    packageManager: 'npm',
+    git: false,
+    workspace: false,
+    stdio: 'ignore'
+  });
+
+  for (const [command, args] of checks) {
+    await runCommand(command, args, projectPath);
+  }
+  await fs.remove(projectPath);
+}
+
+async function main() {
+  const filters = process.argv.slice(2);
+  const variants = getVariants().filter(({ name }) => filters.length === 0 || filters.some(filter => name.includes(filter)));
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-check-'));
+  const failures = [];
+
+  for (const variant of variants) {
+    console.log(chalk.bold(`\n${variant.name}`));
+    try {
+      await checkVariant(variant, tempDir);
+      console.log(chalk.green(`✔ ${variant.name}`));
+    } catch (error) {
+      failures.push(variant.name);
+      console.error(chalk.red(`✖ ${variant.name}: ${error.message}`));
+    }
+  }
+
+  console.log();
+  if (failures.length > 0) {
+    console.error(chalk.red(`${failures.length} of ${variants.length} variants failed: ${failures.join(', ')}`));
+    console.error(chalk.gray(`Their projects are kept in ${tempDir}`));
+    process.exit(1);
+  }
+  await fs.remove(tempDir);
+  console.log(chalk.green(`All ${variants.length} variants passed.`));
+}
+
+main();
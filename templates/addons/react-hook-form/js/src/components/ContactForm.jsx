@@ -0,0 +1,54 @@
+import { useState } from 'react'
+import { useForm } from 'react-hook-form'
+
+function ContactForm() {
+  const [submitted, setSubmitted] = useState(null)
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm()
+
+  // Replace with a request to your API
+  const onSubmit = (data) => {
+    setSubmitted(data)
+  }
+
+  if (submitted) {
+    return <p>Thanks, {submitted.name}! We will get back to you soon.</p>
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} noValidate>
+      <label>
+        Name
+        <input {...register('name', { required: 'Please enter your name' })} />
+      </label>
+      {errors.name && <p role="alert">{errors.name.message}</p>}
+
+      <label>
+        Email
+        <input
+          type="email"
+          {...register('email', {
+            required: 'Please enter your email',
+            pattern: {
+              value: /\S+@\S+\.\S+/,
+              message: 'Please enter a valid email',
+            },
+          })}
+        />
+      </label>
+      {errors.email && <p role="alert">{errors.email.message}</p>}
+
+      <label>
+        Message
+        <textarea {...register('message')} />
+      </label>
+
+      <button type="submit">Send</button>
+    </form>
+  )
+}
+
+export default ContactForm
@@ -0,0 +1,65 @@
+import { useState } from 'react'
+import { useForm, type SubmitHandler } from 'react-hook-form'
+
+interface ContactFormValues {
+  name: string
+  email: string
+  message: string
+}
+
+function ContactForm() {
+  const [submitted, setSubmitted] = useState<ContactFormValues | null>(null)
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm<ContactFormValues>()
+
+  // Replace with a request to your API
+  const onSubmit: SubmitHandler<ContactFormValues> = (data) => {
+    setSubmitted(data)
+  }
+
+  if (submitted) {
+    return <p>Thanks, {submitted.name}! We will get back to you soon.</p>
+  }
+
+  return (
+    <form
+      onSubmit={(event) => {
+        void handleSubmit(onSubmit)(event)
+      }}
+      noValidate
+    >
+      <label>
+        Name
+        <input {...register('name', { required: 'Please enter your name' })} />
+      </label>
+      {errors.name && <p role="alert">{errors.name.message}</p>}
+
+      <label>
+        Email
+        <input
+          type="email"
+          {...register('email', {
+            required: 'Please enter your email',
+            pattern: {
+              value: /\S+@\S+\.\S+/,
+              message: 'Please enter a valid email',
+            },
+          })}
+        />
+      </label>
+      {errors.email && <p role="alert">{errors.email.message}</p>}
+
+      <label>
+        Message
+        <textarea {...register('message')} />
+      </label>
+
+      <button type="submit">Send</button>
+    </form>
+  )
+}
+
+export default ContactForm
@@ -0,0 +1,8 @@
+import { configureStore } from '@reduxjs/toolkit'
+import counterReducer from './counterSlice.js'
+
+export const store = configureStore({
+  reducer: {
+    counter: counterReducer,
+  },
+})
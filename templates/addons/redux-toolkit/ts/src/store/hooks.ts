@@ -0,0 +1,6 @@
+import { useDispatch, useSelector } from 'react-redux'
+import type { AppDispatch, RootState } from './index.ts'
+
+// Use these instead of plain useDispatch and useSelector so state and actions are typed
+export const useAppDispatch = useDispatch.withTypes<AppDispatch>()
+export const useAppSelector = useSelector.withTypes<RootState>()
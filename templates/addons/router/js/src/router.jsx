@@ -0,0 +1,13 @@
+import { createBrowserRouter } from 'react-router'
+import App from './App.jsx'
+
+// Add a route object per page, e.g. { path: 'about', element: <About /> }
+export const router = createBrowserRouter(
+  [
+    {
+      path: '/',
+      element: <App />,
+    },
+  ],
+  { basename: import.meta.env.BASE_URL },
+)
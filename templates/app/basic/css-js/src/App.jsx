@@ -0,0 +1,34 @@
+import reactLogo from './assets/react.svg'
+import viteLogo from '/vite.svg'
+import styles from './App.module.css'
+
+function App() {
+  return (
+    <div className={styles.page}>
+      <div className={styles.content}>
+        <div className={styles.logos}>
+          <a
+            href="https://vitejs.dev"
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            <img src={viteLogo} className={styles.logo} alt="Vite logo" />
+          </a>
+          <a href="https://react.dev" target="_blank" rel="noopener noreferrer">
+            <img src={reactLogo} className={styles.logo} alt="React logo" />
+          </a>
+        </div>
+        <h1 className={styles.title}>
+          Welcome to <span className={styles.accent}>ReVite</span>
+        </h1>
+        <p className={styles.subtitle}>React + Vite</p>
+        <div className={styles.actions}>
+          <button className={styles.primaryButton}>Get Started</button>
+          <button className={styles.secondaryButton}>Learn More</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default App
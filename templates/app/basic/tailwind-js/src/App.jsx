@@ -0,0 +1,47 @@
+import reactLogo from './assets/react.svg'
+import viteLogo from '/vite.svg'
+import ThemeToggle from './components/ThemeToggle.jsx'
+
+function App() {
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-background">
+      <ThemeToggle className="fixed top-4 right-4" />
+      <div className="text-center">
+        <div className="mb-8 flex justify-center space-x-4">
+          <a
+            href="https://vitejs.dev"
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            <img
+              src={viteLogo}
+              className="h-16 w-16 hover:animate-spin"
+              alt="Vite logo"
+            />
+          </a>
+          <a href="https://react.dev" target="_blank" rel="noopener noreferrer">
+            <img
+              src={reactLogo}
+              className="h-16 w-16 hover:animate-spin"
+              alt="React logo"
+            />
+          </a>
+        </div>
+        <h1 className="mb-4 text-4xl font-bold text-foreground">
+          Welcome to <span className="text-primary">ReVite</span>
+        </h1>
+        <p className="mb-8 text-lg text-muted">React + Vite + Tailwind CSS</p>
+        <div className="space-x-4">
+          <button className="rounded bg-primary px-4 py-2 font-bold text-primary-foreground transition duration-200 hover:bg-primary-hover">
+            Get Started
+          </button>
+          <button className="rounded bg-surface-muted px-4 py-2 font-bold text-foreground transition duration-200 hover:bg-border">
+            Learn More
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default App
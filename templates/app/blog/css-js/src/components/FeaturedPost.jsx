@@ -0,0 +1,23 @@
+import { Link } from 'react-router'
+import meta from './PostMeta.module.css'
+import styles from './FeaturedPost.module.css'
+
+function FeaturedPost({ post }) {
+  return (
+    <article className={styles.card}>
+      <div className={meta.meta}>
+        <span className={meta.badge}>Featured</span>
+        <span>{post.date}</span>
+        <span>•</span>
+        <span>{post.readTime}</span>
+      </div>
+      <h2 className={styles.title}>{post.title}</h2>
+      <p className={styles.excerpt}>{post.excerpt}</p>
+      <Link to={`/posts/${post.slug}`} className={meta.readMore}>
+        Read more →
+      </Link>
+    </article>
+  )
+}
+
+export default FeaturedPost
@@ -0,0 +1,44 @@
+import { useState } from 'react'
+import styles from './Newsletter.module.css'
+
+function Newsletter() {
+  const [email, setEmail] = useState('')
+  const [subscribed, setSubscribed] = useState(false)
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    setSubscribed(true)
+  }
+
+  return (
+    <div className={styles.newsletter}>
+      <h3 className={styles.title}>Stay Updated</h3>
+      {subscribed ? (
+        <p className={styles.text}>
+          Thanks for subscribing! Check {email} for a confirmation link.
+        </p>
+      ) : (
+        <>
+          <p className={styles.text}>
+            Get the latest posts delivered right to your inbox
+          </p>
+          <form onSubmit={handleSubmit} className={styles.form}>
+            <input
+              type="email"
+              required
+              value={email}
+              onChange={(event) => setEmail(event.target.value)}
+              placeholder="Enter your email"
+              className={styles.input}
+            />
+            <button type="submit" className={styles.button}>
+              Subscribe
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Newsletter
@@ -0,0 +1,25 @@
+import { Link } from 'react-router'
+import meta from './PostMeta.module.css'
+import styles from './PostCard.module.css'
+
+function PostCard({ post }) {
+  return (
+    <article className={styles.card}>
+      <div className={meta.meta}>
+        <span>{post.date}</span>
+        <span>•</span>
+        <span>{post.readTime}</span>
+      </div>
+      <h3 className={styles.title}>{post.title}</h3>
+      <p className={styles.excerpt}>{post.excerpt}</p>
+      <Link
+        to={`/posts/${post.slug}`}
+        className={`${meta.readMore} ${styles.link}`}
+      >
+        Read more →
+      </Link>
+    </article>
+  )
+}
+
+export default PostCard
@@ -0,0 +1,36 @@
+import { Link, Outlet } from 'react-router'
+import styles from './BlogLayout.module.css'
+
+function BlogLayout() {
+  return (
+    <div className={styles.layout}>
+      {/* Header */}
+      <header className={styles.header}>
+        <div className={styles.headerInner}>
+          <Link to="/" className={styles.brand}>
+            My Blog
+          </Link>
+          <nav className={styles.nav}>
+            <Link to="/" className={styles.navLink}>
+              Home
+            </Link>
+          </nav>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className={styles.main}>
+        <Outlet />
+      </main>
+
+      {/* Footer */}
+      <footer className={styles.footer}>
+        <p>
+          &copy; {new Date().getFullYear()} My Blog. Built with React + Vite.
+        </p>
+      </footer>
+    </div>
+  )
+}
+
+export default BlogLayout
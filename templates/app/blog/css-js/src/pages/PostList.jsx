@@ -0,0 +1,26 @@
+import FeaturedPost from '../components/FeaturedPost.jsx'
+import Newsletter from '../components/Newsletter.jsx'
+import PostCard from '../components/PostCard.jsx'
+import { posts } from '../data/posts.js'
+import styles from './PostList.module.css'
+
+function PostList() {
+  const featured = posts.find((post) => post.featured)
+  const others = posts.filter((post) => post !== featured)
+
+  return (
+    <>
+      {featured && <FeaturedPost post={featured} />}
+
+      <div className={styles.grid}>
+        {others.map((post) => (
+          <PostCard key={post.slug} post={post} />
+        ))}
+      </div>
+
+      <Newsletter />
+    </>
+  )
+}
+
+export default PostList
@@ -0,0 +1,41 @@
+import { Link, useParams } from 'react-router'
+import meta from '../components/PostMeta.module.css'
+import { posts } from '../data/posts.ts'
+import styles from './Post.module.css'
+
+function Post() {
+  const { slug } = useParams()
+  const post = posts.find((item) => item.slug === slug)
+
+  if (!post) {
+    return (
+      <div className={styles.notFound}>
+        <h1 className={styles.notFoundTitle}>Post not found</h1>
+        <Link to="/" className={meta.readMore}>
+          ← Back to all posts
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <article className={styles.post}>
+      <Link to="/" className={`${meta.readMore} ${styles.back}`}>
+        ← Back to all posts
+      </Link>
+      <div className={`${meta.meta} ${styles.meta}`}>
+        <span>{post.date}</span>
+        <span>•</span>
+        <span>{post.readTime}</span>
+      </div>
+      <h1 className={styles.title}>{post.title}</h1>
+      {post.content.map((paragraph) => (
+        <p key={paragraph} className={styles.paragraph}>
+          {paragraph}
+        </p>
+      ))}
+    </article>
+  )
+}
+
+export default Post
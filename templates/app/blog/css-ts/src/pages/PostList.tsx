@@ -0,0 +1,26 @@
+import FeaturedPost from '../components/FeaturedPost.tsx'
+import Newsletter from '../components/Newsletter.tsx'
+import PostCard from '../components/PostCard.tsx'
+import { posts } from '../data/posts.ts'
+import styles from './PostList.module.css'
+
+function PostList() {
+  const featured = posts.find((post) => post.featured)
+  const others = posts.filter((post) => post !== featured)
+
+  return (
+    <>
+      {featured && <FeaturedPost post={featured} />}
+
+      <div className={styles.grid}>
+        {others.map((post) => (
+          <PostCard key={post.slug} post={post} />
+        ))}
+      </div>
+
+      <Newsletter />
+    </>
+  )
+}
+
+export default PostList
@@ -0,0 +1,9 @@
+export interface Post {
+  slug: string
+  title: string
+  excerpt: string
+  date: string
+  readTime: string
+  featured: boolean
+  content: string[]
+}
@@ -0,0 +1,19 @@
+import { BrowserRouter, Route, Routes } from 'react-router'
+import BlogLayout from './layouts/BlogLayout.jsx'
+import Post from './pages/Post.jsx'
+import PostList from './pages/PostList.jsx'
+
+function App() {
+  return (
+    <BrowserRouter basename={import.meta.env.BASE_URL}>
+      <Routes>
+        <Route element={<BlogLayout />}>
+          <Route index element={<PostList />} />
+          <Route path="posts/:slug" element={<Post />} />
+        </Route>
+      </Routes>
+    </BrowserRouter>
+  )
+}
+
+export default App
@@ -0,0 +1,30 @@
+import { Link } from 'react-router'
+
+function FeaturedPost({ post }) {
+  return (
+    <article className="mb-12 overflow-hidden rounded-lg bg-surface shadow-sm">
+      <div className="p-8">
+        <div className="mb-4 flex items-center text-sm text-muted">
+          <span className="mr-3 rounded-full bg-primary-soft px-2 py-1 text-xs font-medium text-primary">
+            Featured
+          </span>
+          <span>{post.date}</span>
+          <span className="mx-2">•</span>
+          <span>{post.readTime}</span>
+        </div>
+        <h2 className="mb-4 text-3xl font-bold text-foreground">
+          {post.title}
+        </h2>
+        <p className="mb-6 text-lg text-muted">{post.excerpt}</p>
+        <Link
+          to={`/posts/${post.slug}`}
+          className="font-medium text-primary hover:text-primary-hover"
+        >
+          Read more →
+        </Link>
+      </div>
+    </article>
+  )
+}
+
+export default FeaturedPost
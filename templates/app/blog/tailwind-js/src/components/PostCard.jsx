@@ -0,0 +1,27 @@
+import { Link } from 'react-router'
+
+function PostCard({ post }) {
+  return (
+    <article className="overflow-hidden rounded-lg bg-surface shadow-sm">
+      <div className="p-6">
+        <div className="mb-3 flex items-center text-sm text-muted">
+          <span>{post.date}</span>
+          <span className="mx-2">•</span>
+          <span>{post.readTime}</span>
+        </div>
+        <h3 className="mb-3 text-xl font-semibold text-foreground">
+          {post.title}
+        </h3>
+        <p className="mb-4 text-muted">{post.excerpt}</p>
+        <Link
+          to={`/posts/${post.slug}`}
+          className="text-sm font-medium text-primary hover:text-primary-hover"
+        >
+          Read more →
+        </Link>
+      </div>
+    </article>
+  )
+}
+
+export default PostCard
@@ -0,0 +1,50 @@
+import { Link, useParams } from 'react-router'
+import { posts } from '../data/posts.js'
+
+function Post() {
+  const { slug } = useParams()
+  const post = posts.find((item) => item.slug === slug)
+
+  if (!post) {
+    return (
+      <div className="py-24 text-center">
+        <h1 className="mb-4 text-3xl font-bold text-foreground">
+          Post not found
+        </h1>
+        <Link
+          to="/"
+          className="font-medium text-primary hover:text-primary-hover"
+        >
+          ← Back to all posts
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <article className="rounded-lg bg-surface p-8 shadow-sm">
+      <Link
+        to="/"
+        className="text-sm font-medium text-primary hover:text-primary-hover"
+      >
+        ← Back to all posts
+      </Link>
+      <div className="mt-6 mb-4 flex items-center text-sm text-muted">
+        <span>{post.date}</span>
+        <span className="mx-2">•</span>
+        <span>{post.readTime}</span>
+      </div>
+      <h1 className="mb-6 text-4xl font-bold text-foreground">{post.title}</h1>
+      {post.content.map((paragraph) => (
+        <p
+          key={paragraph}
+          className="mb-4 text-lg leading-relaxed text-foreground"
+        >
+          {paragraph}
+        </p>
+      ))}
+    </article>
+  )
+}
+
+export default Post
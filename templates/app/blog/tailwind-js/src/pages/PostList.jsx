@@ -0,0 +1,25 @@
+import FeaturedPost from '../components/FeaturedPost.jsx'
+import Newsletter from '../components/Newsletter.jsx'
+import PostCard from '../components/PostCard.jsx'
+import { posts } from '../data/posts.js'
+
+function PostList() {
+  const featured = posts.find((post) => post.featured)
+  const others = posts.filter((post) => post !== featured)
+
+  return (
+    <>
+      {featured && <FeaturedPost post={featured} />}
+
+      <div className="grid gap-8 md:grid-cols-2">
+        {others.map((post) => (
+          <PostCard key={post.slug} post={post} />
+        ))}
+      </div>
+
+      <Newsletter />
+    </>
+  )
+}
+
+export default PostList
@@ -0,0 +1,50 @@
+import { useState, type ChangeEvent, type SubmitEvent } from 'react'
+
+function Newsletter() {
+  const [email, setEmail] = useState('')
+  const [subscribed, setSubscribed] = useState(false)
+
+  const handleChange = (event: ChangeEvent<HTMLInputElement>) => {
+    setEmail(event.target.value)
+  }
+
+  const handleSubmit = (event: SubmitEvent<HTMLFormElement>) => {
+    event.preventDefault()
+    setSubscribed(true)
+  }
+
+  return (
+    <div className="mt-12 rounded-lg bg-primary-soft p-8 text-center">
+      <h3 className="mb-4 text-2xl font-bold text-foreground">Stay Updated</h3>
+      {subscribed ? (
+        <p className="text-muted">
+          Thanks for subscribing! Check {email} for a confirmation link.
+        </p>
+      ) : (
+        <>
+          <p className="mb-6 text-muted">
+            Get the latest posts delivered right to your inbox
+          </p>
+          <form onSubmit={handleSubmit} className="mx-auto flex max-w-md gap-4">
+            <input
+              type="email"
+              required
+              value={email}
+              onChange={handleChange}
+              placeholder="Enter your email"
+              className="flex-1 rounded-md border border-border bg-surface px-4 py-2 focus:ring-2 focus:ring-primary focus:outline-none"
+            />
+            <button
+              type="submit"
+              className="rounded-md bg-primary px-6 py-2 font-medium text-primary-foreground hover:bg-primary-hover"
+            >
+              Subscribe
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default Newsletter
@@ -0,0 +1,43 @@
+import type { Post } from '../types.ts'
+
+export const posts: Post[] = [
+  {
+    slug: 'getting-started-with-react-vite-tailwind',
+    title: 'Getting Started with React + Vite + Tailwind',
+    excerpt:
+      'Learn how to build modern web applications with this powerful combination of tools.',
+    date: 'Mar 16, 2024',
+    readTime: '5 min read',
+    featured: true,
+    content: [
+      'React, Vite and Tailwind CSS make a fast, pleasant stack for building web applications. React gives you a component model, Vite gives you instant dev server start-up and hot module replacement, and Tailwind lets you style everything without leaving your markup.',
+      "In this post we'll cover everything from setup to deployment, including best practices and common patterns for structuring components, pages and layouts.",
+    ],
+  },
+  {
+    slug: 'advanced-tailwind-css-techniques',
+    title: 'Advanced Tailwind CSS Techniques',
+    excerpt:
+      'Discover advanced patterns and techniques for building beautiful UIs with Tailwind CSS.',
+    date: 'Mar 12, 2024',
+    readTime: '8 min read',
+    featured: false,
+    content: [
+      'Once you are comfortable with utility classes, Tailwind has a lot more to offer: arbitrary values, variants for every state, container queries and a theme you can extend with your own design tokens.',
+      'We will look at how to keep large class lists readable and when it makes sense to extract a component instead.',
+    ],
+  },
+  {
+    slug: 'vite-the-next-generation-build-tool',
+    title: 'Vite: The Next Generation Build Tool',
+    excerpt:
+      'Why Vite is revolutionizing the way we build and develop web applications.',
+    date: 'Mar 8, 2024',
+    readTime: '6 min read',
+    featured: false,
+    content: [
+      'Vite serves your source files over native ES modules during development, so the dev server starts in milliseconds no matter how large your app grows.',
+      'For production it bundles with Rollup, giving you optimized, code-split output with sensible defaults.',
+    ],
+  },
+]
@@ -0,0 +1,44 @@
+import { Link, Outlet } from 'react-router'
+import ThemeToggle from '../components/ThemeToggle.tsx'
+
+function BlogLayout() {
+  return (
+    <div className="flex min-h-screen flex-col bg-background">
+      {/* Header */}
+      <header className="bg-surface shadow-sm">
+        <div className="mx-auto flex h-[80px] max-w-4xl items-center justify-between px-4 sm:px-6 lg:px-8">
+          <Link to="/" className="text-3xl font-bold text-foreground">
+            My Blog
+          </Link>
+          <div className="flex items-center gap-4">
+            <nav className="hidden space-x-8 md:flex">
+              <Link to="/" className="text-muted hover:text-foreground">
+                Home
+              </Link>
+            </nav>
+            <ThemeToggle />
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="mx-auto w-full max-w-4xl flex-1 px-4 py-12 sm:px-6 lg:px-8">
+        <Outlet />
+      </main>
+
+      {/* Footer */}
+      <footer className="mt-16 border-t border-border bg-surface">
+        <div className="mx-auto max-w-4xl px-4 py-8 sm:px-6 lg:px-8">
+          <div className="text-center text-muted">
+            <p>
+              &copy; {new Date().getFullYear()} My Blog. Built with React + Vite
+              + Tailwind CSS.
+            </p>
+          </div>
+        </div>
+      </footer>
+    </div>
+  )
+}
+
+export default BlogLayout
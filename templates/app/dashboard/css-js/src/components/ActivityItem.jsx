@@ -0,0 +1,23 @@
+import styles from './ActivityItem.module.css'
+
+const statusStyles = {
+  Active: styles.active,
+  'In Progress': styles.inProgress,
+  Completed: styles.completed,
+}
+
+function ActivityItem({ project, updated, status }) {
+  return (
+    <div className={styles.item}>
+      <div>
+        <p className={styles.project}>{project}</p>
+        <p className={styles.updated}>{updated}</p>
+      </div>
+      <span className={`${styles.status} ${statusStyles[status]}`}>
+        {status}
+      </span>
+    </div>
+  )
+}
+
+export default ActivityItem
@@ -0,0 +1,15 @@
+import styles from './StatCard.module.css'
+
+function StatCard({ label, value, tone }) {
+  return (
+    <div className={styles.card}>
+      <div className={`${styles.icon} ${styles[tone]}`}>{label.charAt(0)}</div>
+      <dl className={styles.details}>
+        <dt className={styles.label}>{label}</dt>
+        <dd className={styles.value}>{value}</dd>
+      </dl>
+    </div>
+  )
+}
+
+export default StatCard
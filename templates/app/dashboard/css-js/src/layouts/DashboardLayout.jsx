@@ -0,0 +1,26 @@
+import { Outlet } from 'react-router'
+import Sidebar from '../components/Sidebar.jsx'
+import styles from './DashboardLayout.module.css'
+
+function DashboardLayout() {
+  return (
+    <div className={styles.layout}>
+      {/* Header */}
+      <header className={styles.header}>
+        <h1 className={styles.title}>Dashboard</h1>
+        <button className={styles.action}>New Project</button>
+      </header>
+
+      <div className={styles.body}>
+        <Sidebar />
+
+        {/* Main Content */}
+        <main className={styles.main}>
+          <Outlet />
+        </main>
+      </div>
+    </div>
+  )
+}
+
+export default DashboardLayout
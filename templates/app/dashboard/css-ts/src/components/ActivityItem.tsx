@@ -0,0 +1,30 @@
+import type { ActivityStatus } from '../types.ts'
+import styles from './ActivityItem.module.css'
+
+const statusStyles: Record<ActivityStatus, string> = {
+  Active: styles.active,
+  'In Progress': styles.inProgress,
+  Completed: styles.completed,
+}
+
+interface ActivityItemProps {
+  project: string
+  updated: string
+  status: ActivityStatus
+}
+
+function ActivityItem({ project, updated, status }: ActivityItemProps) {
+  return (
+    <div className={styles.item}>
+      <div>
+        <p className={styles.project}>{project}</p>
+        <p className={styles.updated}>{updated}</p>
+      </div>
+      <span className={`${styles.status} ${statusStyles[status]}`}>
+        {status}
+      </span>
+    </div>
+  )
+}
+
+export default ActivityItem
@@ -0,0 +1,30 @@
+import { NavLink } from 'react-router'
+import styles from './Sidebar.module.css'
+
+const links = [
+  { to: '/', label: 'Stats', end: true },
+  { to: '/activity', label: 'Activity', end: false },
+]
+
+function Sidebar() {
+  return (
+    <aside className={styles.sidebar}>
+      <nav className={styles.nav}>
+        {links.map((link) => (
+          <NavLink
+            key={link.to}
+            to={link.to}
+            end={link.end}
+            className={({ isActive }) =>
+              isActive ? `${styles.link} ${styles.active}` : styles.link
+            }
+          >
+            {link.label}
+          </NavLink>
+        ))}
+      </nav>
+    </aside>
+  )
+}
+
+export default Sidebar
@@ -0,0 +1,22 @@
+import type { Tone } from '../types.ts'
+import styles from './StatCard.module.css'
+
+interface StatCardProps {
+  label: string
+  value: number
+  tone: Tone
+}
+
+function StatCard({ label, value, tone }: StatCardProps) {
+  return (
+    <div className={styles.card}>
+      <div className={`${styles.icon} ${styles[tone]}`}>{label.charAt(0)}</div>
+      <dl className={styles.details}>
+        <dt className={styles.label}>{label}</dt>
+        <dd className={styles.value}>{value}</dd>
+      </dl>
+    </div>
+  )
+}
+
+export default StatCard
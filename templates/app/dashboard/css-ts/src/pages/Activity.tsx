@@ -0,0 +1,23 @@
+import ActivityItem from '../components/ActivityItem.tsx'
+import { activities } from '../data/dashboard.ts'
+import styles from './Activity.module.css'
+
+function Activity() {
+  return (
+    <section className={styles.panel}>
+      <h2 className={styles.heading}>Recent Activity</h2>
+      <div className={styles.list}>
+        {activities.map((activity) => (
+          <ActivityItem
+            key={activity.id}
+            project={activity.project}
+            updated={activity.updated}
+            status={activity.status}
+          />
+        ))}
+      </div>
+    </section>
+  )
+}
+
+export default Activity
@@ -0,0 +1,23 @@
+import StatCard from '../components/StatCard.tsx'
+import { stats } from '../data/dashboard.ts'
+import styles from './Stats.module.css'
+
+function Stats() {
+  return (
+    <section>
+      <h2 className={styles.heading}>Stats</h2>
+      <div className={styles.grid}>
+        {stats.map((stat) => (
+          <StatCard
+            key={stat.label}
+            label={stat.label}
+            value={stat.value}
+            tone={stat.tone}
+          />
+        ))}
+      </div>
+    </section>
+  )
+}
+
+export default Stats
@@ -0,0 +1,25 @@
+const statusStyles = {
+  Active:
+    'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  'In Progress':
+    'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300',
+  Completed: 'bg-primary-soft text-primary',
+}
+
+function ActivityItem({ project, updated, status }) {
+  return (
+    <div className="flex items-center justify-between rounded-lg bg-surface-muted p-4">
+      <div>
+        <p className="text-sm font-medium text-foreground">{project}</p>
+        <p className="text-sm text-muted">{updated}</p>
+      </div>
+      <span
+        className={`inline-flex items-center rounded-full px-2.5 py-0.5 text-xs font-medium ${statusStyles[status]}`}
+      >
+        {status}
+      </span>
+    </div>
+  )
+}
+
+export default ActivityItem
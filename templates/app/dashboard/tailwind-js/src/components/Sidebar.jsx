@@ -0,0 +1,33 @@
+import { NavLink } from 'react-router'
+
+const links = [
+  { to: '/', label: 'Stats', end: true },
+  { to: '/activity', label: 'Activity', end: false },
+]
+
+function Sidebar() {
+  return (
+    <aside className="border-b border-border bg-surface md:min-h-[calc(100vh-89px)] md:w-56 md:shrink-0 md:border-r md:border-b-0">
+      <nav className="flex gap-1 p-4 md:flex-col">
+        {links.map((link) => (
+          <NavLink
+            key={link.to}
+            to={link.to}
+            end={link.end}
+            className={({ isActive }) =>
+              `rounded-md px-3 py-2 text-sm font-medium ${
+                isActive
+                  ? 'bg-primary-soft text-primary'
+                  : 'text-muted hover:bg-surface-muted hover:text-foreground'
+              }`
+            }
+          >
+            {link.label}
+          </NavLink>
+        ))}
+      </nav>
+    </aside>
+  )
+}
+
+export default Sidebar
@@ -0,0 +1,24 @@
+import StatCard from '../components/StatCard.jsx'
+import { stats } from '../data/dashboard.js'
+
+function Stats() {
+  return (
+    <section>
+      <h2 className="mb-4 text-lg leading-6 font-medium text-foreground">
+        Stats
+      </h2>
+      <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-3">
+        {stats.map((stat) => (
+          <StatCard
+            key={stat.label}
+            label={stat.label}
+            value={stat.value}
+            tone={stat.tone}
+          />
+        ))}
+      </div>
+    </section>
+  )
+}
+
+export default Stats
@@ -0,0 +1,19 @@
+import { BrowserRouter, Route, Routes } from 'react-router'
+import DashboardLayout from './layouts/DashboardLayout.tsx'
+import Activity from './pages/Activity.tsx'
+import Stats from './pages/Stats.tsx'
+
+function App() {
+  return (
+    <BrowserRouter basename={import.meta.env.BASE_URL}>
+      <Routes>
+        <Route element={<DashboardLayout />}>
+          <Route index element={<Stats />} />
+          <Route path="activity" element={<Activity />} />
+        </Route>
+      </Routes>
+    </BrowserRouter>
+  )
+}
+
+export default App
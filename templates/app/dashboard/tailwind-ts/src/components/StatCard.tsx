@@ -0,0 +1,41 @@
+import type { Tone } from '../types.ts'
+
+const tones: Record<Tone, string> = {
+  blue: 'bg-primary',
+  green: 'bg-green-500',
+  yellow: 'bg-yellow-500',
+}
+
+interface StatCardProps {
+  label: string
+  value: number
+  tone: Tone
+}
+
+function StatCard({ label, value, tone }: StatCardProps) {
+  return (
+    <div className="overflow-hidden rounded-lg bg-surface shadow">
+      <div className="p-5">
+        <div className="flex items-center">
+          <div className="flex-shrink-0">
+            <div
+              className={`h-8 w-8 ${tones[tone]} flex items-center justify-center rounded-md`}
+            >
+              <span className="font-bold text-white">{label.charAt(0)}</span>
+            </div>
+          </div>
+          <div className="ml-5 w-0 flex-1">
+            <dl>
+              <dt className="truncate text-sm font-medium text-muted">
+                {label}
+              </dt>
+              <dd className="text-lg font-medium text-foreground">{value}</dd>
+            </dl>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default StatCard
@@ -0,0 +1,34 @@
+import type { ActivityEntry, Stat } from '../types.ts'
+
+export const stats: Stat[] = [
+  { label: 'Total Projects', value: 12, tone: 'blue' },
+  { label: 'Active', value: 8, tone: 'green' },
+  { label: 'Completed', value: 4, tone: 'yellow' },
+]
+
+export const activities: ActivityEntry[] = [
+  {
+    id: 1,
+    project: 'Project Alpha',
+    updated: 'Updated 2 hours ago',
+    status: 'Active',
+  },
+  {
+    id: 2,
+    project: 'Project Beta',
+    updated: 'Updated 1 day ago',
+    status: 'In Progress',
+  },
+  {
+    id: 3,
+    project: 'Project Gamma',
+    updated: 'Updated 3 days ago',
+    status: 'Completed',
+  },
+  {
+    id: 4,
+    project: 'Project Delta',
+    updated: 'Updated 1 week ago',
+    status: 'Completed',
+  },
+]
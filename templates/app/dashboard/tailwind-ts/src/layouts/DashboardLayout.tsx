@@ -0,0 +1,35 @@
+import { Outlet } from 'react-router'
+import Sidebar from '../components/Sidebar.tsx'
+import ThemeToggle from '../components/ThemeToggle.tsx'
+
+function DashboardLayout() {
+  return (
+    <div className="min-h-screen bg-background">
+      {/* Header */}
+      <header className="border-b border-border bg-surface shadow-sm">
+        <div className="px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between py-6">
+            <h1 className="text-2xl font-bold text-foreground">Dashboard</h1>
+            <div className="flex items-center gap-2">
+              <ThemeToggle />
+              <button className="rounded-md bg-primary px-4 py-2 text-sm font-medium text-primary-foreground hover:bg-primary-hover">
+                New Project
+              </button>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <div className="flex flex-col md:flex-row">
+        <Sidebar />
+
+        {/* Main Content */}
+        <main className="flex-1 px-4 py-6 sm:px-6 lg:px-8">
+          <Outlet />
+        </main>
+      </div>
+    </div>
+  )
+}
+
+export default DashboardLayout
@@ -0,0 +1,26 @@
+import ActivityItem from '../components/ActivityItem.tsx'
+import { activities } from '../data/dashboard.ts'
+
+function Activity() {
+  return (
+    <section className="rounded-lg bg-surface shadow">
+      <div className="px-4 py-5 sm:p-6">
+        <h2 className="mb-4 text-lg leading-6 font-medium text-foreground">
+          Recent Activity
+        </h2>
+        <div className="space-y-4">
+          {activities.map((activity) => (
+            <ActivityItem
+              key={activity.id}
+              project={activity.project}
+              updated={activity.updated}
+              status={activity.status}
+            />
+          ))}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Activity
@@ -0,0 +1,16 @@
+export type Tone = 'blue' | 'green' | 'yellow'
+
+export type ActivityStatus = 'Active' | 'In Progress' | 'Completed'
+
+export interface Stat {
+  label: string
+  value: number
+  tone: Tone
+}
+
+export interface ActivityEntry {
+  id: number
+  project: string
+  updated: string
+  status: ActivityStatus
+}
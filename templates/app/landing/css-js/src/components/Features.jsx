@@ -0,0 +1,46 @@
+import styles from './Features.module.css'
+
+const features = [
+  {
+    icon: '⚡',
+    title: 'Lightning Fast',
+    description: 'Powered by Vite for instant hot reload and optimized builds',
+  },
+  {
+    icon: '🎨',
+    title: 'Scoped Styles',
+    description:
+      'CSS Modules keep every component’s styles local and conflict-free',
+  },
+  {
+    icon: '⚛️',
+    title: 'Modern React',
+    description: 'Latest React features with TypeScript support',
+  },
+]
+
+function Features() {
+  return (
+    <section id="features" className={styles.features}>
+      <div className={styles.inner}>
+        <div className={styles.header}>
+          <h2 className={styles.title}>Features</h2>
+          <p className={styles.subtitle}>
+            Everything you need to build modern web applications
+          </p>
+        </div>
+        <div className={styles.grid}>
+          {features.map((feature) => (
+            <div key={feature.title} className={styles.feature}>
+              <div className={styles.icon}>{feature.icon}</div>
+              <h3 className={styles.featureTitle}>{feature.title}</h3>
+              <p className={styles.description}>{feature.description}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Features
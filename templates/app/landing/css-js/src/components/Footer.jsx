@@ -0,0 +1,11 @@
+import styles from './Footer.module.css'
+
+function Footer() {
+  return (
+    <footer className={styles.footer}>
+      <p>&copy; {new Date().getFullYear()} ReVite. Built with React + Vite.</p>
+    </footer>
+  )
+}
+
+export default Footer
@@ -0,0 +1,37 @@
+import { Link, NavLink } from 'react-router'
+import styles from './Navbar.module.css'
+
+const links = [
+  { to: '/pricing', label: 'Pricing' },
+  { to: '/about', label: 'About' },
+]
+
+function Navbar() {
+  return (
+    <nav className={styles.navbar}>
+      <div className={styles.inner}>
+        <Link to="/" className={styles.brand}>
+          ReVite
+        </Link>
+        <div className={styles.links}>
+          {links.map((link) => (
+            <NavLink
+              key={link.to}
+              to={link.to}
+              className={({ isActive }) =>
+                isActive ? `${styles.link} ${styles.active}` : styles.link
+              }
+            >
+              {link.label}
+            </NavLink>
+          ))}
+          <Link to="/pricing" className={styles.cta}>
+            Get Started
+          </Link>
+        </div>
+      </div>
+    </nav>
+  )
+}
+
+export default Navbar
@@ -0,0 +1,13 @@
+import Features from '../components/Features.jsx'
+import Hero from '../components/Hero.jsx'
+
+function Home() {
+  return (
+    <>
+      <Hero />
+      <Features />
+    </>
+  )
+}
+
+export default Home
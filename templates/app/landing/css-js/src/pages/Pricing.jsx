@@ -0,0 +1,51 @@
+import PricingCard from '../components/PricingCard.jsx'
+import styles from './Pricing.module.css'
+
+const plans = [
+  {
+    name: 'Starter',
+    price: '$0',
+    description: 'For side projects and experiments',
+    features: ['1 project', 'Community support', 'Basic analytics'],
+    highlighted: false,
+  },
+  {
+    name: 'Pro',
+    price: '$19',
+    description: 'For growing products and teams',
+    features: ['Unlimited projects', 'Priority support', 'Advanced analytics'],
+    highlighted: true,
+  },
+  {
+    name: 'Enterprise',
+    price: '$99',
+    description: 'For organizations at scale',
+    features: ['Everything in Pro', 'SSO & audit logs', 'Dedicated manager'],
+    highlighted: false,
+  },
+]
+
+function Pricing() {
+  return (
+    <section className={styles.pricing}>
+      <div className={styles.header}>
+        <h1 className={styles.title}>Pricing</h1>
+        <p className={styles.subtitle}>Simple plans that grow with you</p>
+      </div>
+      <div className={styles.grid}>
+        {plans.map((plan) => (
+          <PricingCard
+            key={plan.name}
+            name={plan.name}
+            price={plan.price}
+            description={plan.description}
+            features={plan.features}
+            highlighted={plan.highlighted}
+          />
+        ))}
+      </div>
+    </section>
+  )
+}
+
+export default Pricing
@@ -0,0 +1,31 @@
+import { Link } from 'react-router'
+import styles from './Hero.module.css'
+
+function Hero() {
+  return (
+    <section className={styles.hero}>
+      <div className={styles.inner}>
+        <h1 className={styles.title}>
+          <span className={styles.line}>Build faster with</span>
+          <span className={`${styles.line} ${styles.accent}`}>
+            React + Vite
+          </span>
+        </h1>
+        <p className={styles.lead}>
+          Create modern React applications with the power of Vite and styles
+          scoped by CSS Modules. Get started in seconds, not hours.
+        </p>
+        <div className={styles.actions}>
+          <Link to="/pricing" className={`${styles.button} ${styles.primary}`}>
+            Get Started
+          </Link>
+          <Link to="/about" className={`${styles.button} ${styles.secondary}`}>
+            Learn More
+          </Link>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Hero
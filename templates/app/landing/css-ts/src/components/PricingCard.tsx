@@ -0,0 +1,44 @@
+import type { Plan } from '../types.ts'
+import styles from './PricingCard.module.css'
+
+function PricingCard({
+  name,
+  price,
+  description,
+  features,
+  highlighted,
+}: Plan) {
+  return (
+    <div
+      className={
+        highlighted ? `${styles.card} ${styles.highlighted}` : styles.card
+      }
+    >
+      <h3 className={styles.name}>{name}</h3>
+      <p className={styles.description}>{description}</p>
+      <p className={styles.price}>
+        <span className={styles.amount}>{price}</span>
+        <span className={styles.period}>/month</span>
+      </p>
+      <ul className={styles.features}>
+        {features.map((feature) => (
+          <li key={feature} className={styles.feature}>
+            <span className={styles.check}>✓</span>
+            {feature}
+          </li>
+        ))}
+      </ul>
+      <button
+        className={
+          highlighted
+            ? `${styles.button} ${styles.primary}`
+            : `${styles.button} ${styles.soft}`
+        }
+      >
+        Choose {name}
+      </button>
+    </div>
+  )
+}
+
+export default PricingCard
@@ -0,0 +1,18 @@
+import { Outlet } from 'react-router'
+import Footer from '../components/Footer.tsx'
+import Navbar from '../components/Navbar.tsx'
+import styles from './MainLayout.module.css'
+
+function MainLayout() {
+  return (
+    <div className={styles.layout}>
+      <Navbar />
+      <main className={styles.main}>
+        <Outlet />
+      </main>
+      <Footer />
+    </div>
+  )
+}
+
+export default MainLayout
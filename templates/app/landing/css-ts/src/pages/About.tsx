@@ -0,0 +1,19 @@
+import styles from './About.module.css'
+
+function About() {
+  return (
+    <section className={styles.about}>
+      <h1 className={styles.title}>About</h1>
+      <p className={styles.text}>
+        ReVite is a starter for teams who want to ship modern React applications
+        without spending the first day on tooling. Vite handles the build, CSS
+        Modules keep styles scoped, and you handle the product.
+      </p>
+      <p className={styles.text}>
+        Replace this page with your own story, team and mission.
+      </p>
+    </section>
+  )
+}
+
+export default About
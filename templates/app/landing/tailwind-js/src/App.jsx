@@ -0,0 +1,21 @@
+import { BrowserRouter, Route, Routes } from 'react-router'
+import MainLayout from './layouts/MainLayout.jsx'
+import About from './pages/About.jsx'
+import Home from './pages/Home.jsx'
+import Pricing from './pages/Pricing.jsx'
+
+function App() {
+  return (
+    <BrowserRouter basename={import.meta.env.BASE_URL}>
+      <Routes>
+        <Route element={<MainLayout />}>
+          <Route index element={<Home />} />
+          <Route path="pricing" element={<Pricing />} />
+          <Route path="about" element={<About />} />
+        </Route>
+      </Routes>
+    </BrowserRouter>
+  )
+}
+
+export default App
@@ -0,0 +1,47 @@
+const features = [
+  {
+    icon: '⚡',
+    title: 'Lightning Fast',
+    description: 'Powered by Vite for instant hot reload and optimized builds',
+  },
+  {
+    icon: '🎨',
+    title: 'Beautiful Design',
+    description: 'Tailwind CSS for rapid UI development and consistent styling',
+  },
+  {
+    icon: '⚛️',
+    title: 'Modern React',
+    description: 'Latest React features with TypeScript support',
+  },
+]
+
+function Features() {
+  return (
+    <section id="features" className="bg-surface py-16">
+      <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-foreground">Features</h2>
+          <p className="mt-4 text-lg text-muted">
+            Everything you need to build modern web applications
+          </p>
+        </div>
+        <div className="mt-12 grid grid-cols-1 gap-8 sm:grid-cols-2 lg:grid-cols-3">
+          {features.map((feature) => (
+            <div key={feature.title} className="text-center">
+              <div className="mx-auto flex h-12 w-12 items-center justify-center rounded-md bg-primary text-primary-foreground">
+                <span className="font-bold">{feature.icon}</span>
+              </div>
+              <h3 className="mt-4 text-lg font-medium text-foreground">
+                {feature.title}
+              </h3>
+              <p className="mt-2 text-base text-muted">{feature.description}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Features
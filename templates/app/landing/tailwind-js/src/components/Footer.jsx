@@ -0,0 +1,16 @@
+function Footer() {
+  return (
+    <footer className="bg-background">
+      <div className="mx-auto max-w-7xl px-4 py-12 sm:px-6 lg:px-8">
+        <div className="text-center text-muted">
+          <p>
+            &copy; {new Date().getFullYear()} ReVite. Built with React + Vite +
+            Tailwind CSS.
+          </p>
+        </div>
+      </div>
+    </footer>
+  )
+}
+
+export default Footer
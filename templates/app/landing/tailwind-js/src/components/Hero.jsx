@@ -0,0 +1,40 @@
+import { Link } from 'react-router'
+
+function Hero() {
+  return (
+    <section className="bg-gradient-to-br from-primary-soft to-background">
+      <div className="mx-auto max-w-7xl px-4 py-24 sm:px-6 lg:px-8">
+        <div className="text-center">
+          <h1 className="text-4xl font-extrabold tracking-tight text-foreground sm:text-5xl md:text-6xl">
+            <span className="block">Build faster with</span>
+            <span className="block text-primary">React + Vite + Tailwind</span>
+          </h1>
+          <p className="mx-auto mt-3 max-w-md text-base text-muted sm:text-lg md:mt-5 md:max-w-3xl md:text-xl">
+            Create modern React applications with the power of Vite and the
+            beauty of Tailwind CSS. Get started in seconds, not hours.
+          </p>
+          <div className="mx-auto mt-5 max-w-md sm:flex sm:justify-center md:mt-8">
+            <div className="rounded-md shadow">
+              <Link
+                to="/pricing"
+                className="flex w-full items-center justify-center rounded-md border border-transparent bg-primary px-8 py-3 text-base font-medium text-primary-foreground hover:bg-primary-hover md:px-10 md:py-4 md:text-lg"
+              >
+                Get Started
+              </Link>
+            </div>
+            <div className="mt-3 rounded-md shadow sm:mt-0 sm:ml-3">
+              <Link
+                to="/about"
+                className="flex w-full items-center justify-center rounded-md border border-transparent bg-surface px-8 py-3 text-base font-medium text-primary hover:bg-surface-muted md:px-10 md:py-4 md:text-lg"
+              >
+                Learn More
+              </Link>
+            </div>
+          </div>
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default Hero
@@ -0,0 +1,47 @@
+import { Link, NavLink } from 'react-router'
+import ThemeToggle from './ThemeToggle.jsx'
+
+const links = [
+  { to: '/pricing', label: 'Pricing' },
+  { to: '/about', label: 'About' },
+]
+
+function Navbar() {
+  return (
+    <nav className="bg-surface shadow-sm">
+      <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8">
+        <div className="flex items-center justify-between py-6">
+          <Link to="/" className="text-2xl font-bold text-primary">
+            ReVite
+          </Link>
+          <div className="flex items-center gap-4">
+            <div className="hidden items-center space-x-8 md:flex">
+              {links.map((link) => (
+                <NavLink
+                  key={link.to}
+                  to={link.to}
+                  className={({ isActive }) =>
+                    isActive
+                      ? 'font-medium text-foreground'
+                      : 'text-muted hover:text-foreground'
+                  }
+                >
+                  {link.label}
+                </NavLink>
+              ))}
+              <Link
+                to="/pricing"
+                className="rounded-md bg-primary px-4 py-2 text-primary-foreground hover:bg-primary-hover"
+              >
+                Get Started
+              </Link>
+            </div>
+            <ThemeToggle />
+          </div>
+        </div>
+      </div>
+    </nav>
+  )
+}
+
+export default Navbar
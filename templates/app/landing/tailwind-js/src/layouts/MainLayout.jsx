@@ -0,0 +1,17 @@
+import { Outlet } from 'react-router'
+import Footer from '../components/Footer.jsx'
+import Navbar from '../components/Navbar.jsx'
+
+function MainLayout() {
+  return (
+    <div className="flex min-h-screen flex-col bg-surface">
+      <Navbar />
+      <main className="flex-1">
+        <Outlet />
+      </main>
+      <Footer />
+    </div>
+  )
+}
+
+export default MainLayout
@@ -0,0 +1,17 @@
+function About() {
+  return (
+    <section className="mx-auto max-w-3xl px-4 py-16 sm:px-6 lg:px-8">
+      <h1 className="text-4xl font-extrabold text-foreground">About</h1>
+      <p className="mt-6 text-lg text-muted">
+        ReVite is a starter for teams who want to ship modern React applications
+        without spending the first day on tooling. Vite handles the build,
+        Tailwind CSS handles the styling, and you handle the product.
+      </p>
+      <p className="mt-4 text-lg text-muted">
+        Replace this page with your own story, team and mission.
+      </p>
+    </section>
+  )
+}
+
+export default About
@@ -0,0 +1,52 @@
+import PricingCard from '../components/PricingCard.jsx'
+
+const plans = [
+  {
+    name: 'Starter',
+    price: '$0',
+    description: 'For side projects and experiments',
+    features: ['1 project', 'Community support', 'Basic analytics'],
+    highlighted: false,
+  },
+  {
+    name: 'Pro',
+    price: '$19',
+    description: 'For growing products and teams',
+    features: ['Unlimited projects', 'Priority support', 'Advanced analytics'],
+    highlighted: true,
+  },
+  {
+    name: 'Enterprise',
+    price: '$99',
+    description: 'For organizations at scale',
+    features: ['Everything in Pro', 'SSO & audit logs', 'Dedicated manager'],
+    highlighted: false,
+  },
+]
+
+function Pricing() {
+  return (
+    <section className="mx-auto max-w-7xl px-4 py-16 sm:px-6 lg:px-8">
+      <div className="text-center">
+        <h1 className="text-4xl font-extrabold text-foreground">Pricing</h1>
+        <p className="mt-4 text-lg text-muted">
+          Simple plans that grow with you
+        </p>
+      </div>
+      <div className="mt-12 grid grid-cols-1 gap-8 lg:grid-cols-3">
+        {plans.map((plan) => (
+          <PricingCard
+            key={plan.name}
+            name={plan.name}
+            price={plan.price}
+            description={plan.description}
+            features={plan.features}
+            highlighted={plan.highlighted}
+          />
+        ))}
+      </div>
+    </section>
+  )
+}
+
+export default Pricing
@@ -0,0 +1,43 @@
+import type { Plan } from '../types.ts'
+
+function PricingCard({
+  name,
+  price,
+  description,
+  features,
+  highlighted,
+}: Plan) {
+  return (
+    <div
+      className={`rounded-lg border p-8 shadow-sm ${
+        highlighted ? 'border-primary ring-2 ring-primary' : 'border-border'
+      }`}
+    >
+      <h3 className="text-lg font-medium text-foreground">{name}</h3>
+      <p className="mt-2 text-sm text-muted">{description}</p>
+      <p className="mt-6">
+        <span className="text-4xl font-extrabold text-foreground">{price}</span>
+        <span className="text-base font-medium text-muted">/month</span>
+      </p>
+      <ul className="mt-6 space-y-3">
+        {features.map((feature) => (
+          <li key={feature} className="flex text-sm text-muted">
+            <span className="mr-2 text-primary">✓</span>
+            {feature}
+          </li>
+        ))}
+      </ul>
+      <button
+        className={`mt-8 w-full rounded-md px-4 py-2 font-medium ${
+          highlighted
+            ? 'bg-primary text-primary-foreground hover:bg-primary-hover'
+            : 'bg-primary-soft text-primary hover:bg-primary hover:text-primary-foreground'
+        }`}
+      >
+        Choose {name}
+      </button>
+    </div>
+  )
+}
+
+export default PricingCard
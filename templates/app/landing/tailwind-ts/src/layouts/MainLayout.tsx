@@ -0,0 +1,17 @@
+import { Outlet } from 'react-router'
+import Footer from '../components/Footer.tsx'
+import Navbar from '../components/Navbar.tsx'
+
+function MainLayout() {
+  return (
+    <div className="flex min-h-screen flex-col bg-surface">
+      <Navbar />
+      <main className="flex-1">
+        <Outlet />
+      </main>
+      <Footer />
+    </div>
+  )
+}
+
+export default MainLayout
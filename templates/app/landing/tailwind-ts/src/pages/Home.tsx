@@ -0,0 +1,13 @@
+import Features from '../components/Features.tsx'
+import Hero from '../components/Hero.tsx'
+
+function Home() {
+  return (
+    <>
+      <Hero />
+      <Features />
+    </>
+  )
+}
+
+export default Home
@@ -0,0 +1,13 @@
+export interface Feature {
+  icon: string
+  title: string
+  description: string
+}
+
+export interface Plan {
+  name: string
+  price: string
+  description: string
+  features: string[]
+  highlighted: boolean
+}
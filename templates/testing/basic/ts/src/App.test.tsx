@@ -0,0 +1,22 @@
+import { render, screen } from '@testing-library/react'
+import { describe, expect, it } from 'vitest'
+import App from './App.tsx'
+
+describe('App', () => {
+  it('renders the welcome heading', () => {
+    render(<App />)
+    expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent(
+      'Welcome to ReVite',
+    )
+  })
+
+  it('renders the call to action buttons', () => {
+    render(<App />)
+    expect(
+      screen.getByRole('button', { name: 'Get Started' }),
+    ).toBeInTheDocument()
+    expect(
+      screen.getByRole('button', { name: 'Learn More' }),
+    ).toBeInTheDocument()
+  })
+})
@@ -0,0 +1,18 @@
+import { render, screen } from '@testing-library/react'
+import { MemoryRouter } from 'react-router'
+import { describe, expect, it } from 'vitest'
+import { posts } from '../data/posts.ts'
+import PostList from './PostList.tsx'
+
+describe('PostList', () => {
+  it('renders every post', () => {
+    render(
+      <MemoryRouter>
+        <PostList />
+      </MemoryRouter>,
+    )
+    posts.forEach((post) => {
+      expect(screen.getByText(post.title)).toBeInTheDocument()
+    })
+  })
+})
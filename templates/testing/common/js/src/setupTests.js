@@ -0,0 +1,8 @@
+import '@testing-library/jest-dom/vitest'
+import { cleanup } from '@testing-library/react'
+import { afterEach } from 'vitest'
+
+// Unmount whatever a test rendered so the next one starts from an empty document
+afterEach(() => {
+  cleanup()
+})
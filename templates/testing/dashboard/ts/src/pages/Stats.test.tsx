@@ -0,0 +1,14 @@
+import { render, screen } from '@testing-library/react'
+import { describe, expect, it } from 'vitest'
+import { stats } from '../data/dashboard.ts'
+import Stats from './Stats.tsx'
+
+describe('Stats', () => {
+  it('renders a card for every stat', () => {
+    render(<Stats />)
+    stats.forEach((stat) => {
+      expect(screen.getByText(stat.label)).toBeInTheDocument()
+      expect(screen.getByText(String(stat.value))).toBeInTheDocument()
+    })
+  })
+})
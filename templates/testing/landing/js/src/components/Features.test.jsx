@@ -0,0 +1,20 @@
+import { render, screen } from '@testing-library/react'
+import { describe, expect, it } from 'vitest'
+import Features from './Features.jsx'
+
+describe('Features', () => {
+  it('renders the section heading', () => {
+    render(<Features />)
+    expect(
+      screen.getByRole('heading', { level: 2, name: 'Features' }),
+    ).toBeInTheDocument()
+  })
+
+  it('renders a card for each feature', () => {
+    render(<Features />)
+    expect(screen.getAllByRole('heading', { level: 3 })).toHaveLength(3)
+    expect(
+      screen.getByRole('heading', { level: 3, name: 'Lightning Fast' }),
+    ).toBeInTheDocument()
+  })
+})
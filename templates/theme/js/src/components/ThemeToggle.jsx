@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react'
+
+const STORAGE_KEY = 'theme'
+
+// A saved choice wins, otherwise follow the operating system
+function getInitialTheme() {
+  const saved = localStorage.getItem(STORAGE_KEY)
+  if (saved === 'light' || saved === 'dark') {
+    return saved
+  }
+  // jsdom, which runs the tests, has no working matchMedia
+  const prefersDark =
+    typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-color-scheme: dark)').matches
+  return prefersDark ? 'dark' : 'light'
+}
+
+// Switches the `dark` class on <html>, which the dark: variant in index.css follows
+function ThemeToggle({ className = '' }) {
+  const [theme, setTheme] = useState(getInitialTheme)
+  const nextTheme = theme === 'dark' ? 'light' : 'dark'
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', theme === 'dark')
+    localStorage.setItem(STORAGE_KEY, theme)
+  }, [theme])
+
+  return (
+    <button
+      type="button"
+      onClick={() => {
+        setTheme(nextTheme)
+      }}
+      aria-label={`Switch to ${nextTheme} mode`}
+      className={`rounded-md p-2 text-muted hover:bg-surface-muted hover:text-foreground ${className}`}
+    >
+      {theme === 'dark' ? '☀️' : '🌙'}
+    </button>
+  )
+}
+
+export default ThemeToggle
@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react'
+
+type Theme = 'light' | 'dark'
+
+interface ThemeToggleProps {
+  className?: string
+}
+
+const STORAGE_KEY = 'theme'
+
+// A saved choice wins, otherwise follow the operating system
+function getInitialTheme(): Theme {
+  const saved = localStorage.getItem(STORAGE_KEY)
+  if (saved === 'light' || saved === 'dark') {
+    return saved
+  }
+  // jsdom, which runs the tests, has no working matchMedia
+  const prefersDark =
+    typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-color-scheme: dark)').matches
+  return prefersDark ? 'dark' : 'light'
+}
+
+// Switches the `dark` class on <html>, which the dark: variant in index.css follows
+function ThemeToggle({ className = '' }: ThemeToggleProps) {
+  const [theme, setTheme] = useState<Theme>(getInitialTheme)
+  const nextTheme: Theme = theme === 'dark' ? 'light' : 'dark'
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', theme === 'dark')
+    localStorage.setItem(STORAGE_KEY, theme)
+  }, [theme])
+
+  return (
+    <button
+      type="button"
+      onClick={() => {
+        setTheme(nextTheme)
+      }}
+      aria-label={`Switch to ${nextTheme} mode`}
+      className={`rounded-md p-2 text-muted hover:bg-surface-muted hover:text-foreground ${className}`}
+    >
+      {theme === 'dark' ? '☀️' : '🌙'}
+    </button>
+  )
+}
+
+export default ThemeToggle
@@ -0,0 +1,18 @@
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { exitCodes, generateAppTemplate } = require('..');
+
+describe('generateAppTemplate', () => {
+  test("resolves with the variant's files", async () => {
+    const files = await generateAppTemplate('dashboard', { typescript: true, tailwind: false });
+    assert.ok(files['src/App.tsx']);
+    assert.ok(files['src/components/Sidebar.module.css']);
+  });
+
+  test('rejects an unknown template', async () => {
+    await assert.rejects(generateAppTemplate('dashbord'), {
+      message: 'Unknown template "dashbord". Available templates: basic, dashboard, landing, blog',
+      exitCode: exitCodes.validation
+    });
+  });
+});
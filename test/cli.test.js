@@ -0,0 +1,71 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { spawnSync } = require('child_process');
+const { afterEach, beforeEach, describe, test } = require('node:test');
+const assert = require('assert');
+const { exitCodes } = require('../lib/errors');
+
+const cliPath = path.join(__dirname, '..', 'bin', 'cli.js');
+
+describe('exit codes', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-test-'));
+  });
+
+  afterEach(() => fs.remove(tempDir));
+
+  const run = (args, env = {}) => spawnSync(process.execPath, [cliPath, ...args], {
+    cwd: tempDir,
+    encoding: 'utf-8',
+    env: { ...process.env, ...env }
+  });
+
+  test('exits with the validation code for an unknown option', () => {
+    assert.strictEqual(run(['app', '--no-such-option']).status, exitCodes.validation);
+  });
+
+  test('reports invalid input in the JSON result', () => {
+    const { status, stdout } = run(['app', '--template', 'nope', '--json']);
+    assert.strictEqual(status, exitCodes.validation);
+    const result = JSON.parse(stdout);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error.exitCode, exitCodes.validation);
+    assert.match(result.error.message, /^Invalid template "nope"/);
+  });
+
+  test('rejects --js together with --typescript', () => {
+    assert.strictEqual(run(['app', '--js', '--typescript', '--dry-run']).status, exitCodes.validation);
+  });
+
+  // A stand-in npm that always fails, so nothing is installed
+  test('exits with the install code and rolls back when the package manager fails', { skip: process.platform === 'win32' }, async () => {
+    const binDir = path.join(tempDir, 'bin');
+    await fs.outputFile(path.join(binDir, 'npm'), '#!/bin/sh\nexit 1\n', { mode: 0o755 });
+
+    const { status, stdout } = run(['app', '--json', '--no-git', '-p', 'npm'], { PATH: `${binDir}${path.delimiter}${process.env.PATH}` });
+    assert.strictEqual(status, exitCodes.install);
+    const result = JSON.parse(stdout);
+    assert.deepStrictEqual(result.error, {
+      step: 'tailwind',
+      message: 'Command "npm install tailwindcss @tailwindcss/vite" failed with exit code 1',
+      exitCode: exitCodes.install
+    });
+    assert.deepStrictEqual(result.steps.map(step => [step.name, step.status]).slice(-2), [['tailwind', 'failed'], ['rollback', 'succeeded']]);
+    assert.strictEqual(await fs.pathExists(path.join(tempDir, 'app')), false);
+  });
+
+  test('takes the defaults without a terminal instead of prompting', { skip: process.platform === 'win32' }, async () => {
+    const binDir = path.join(tempDir, 'bin');
+    await fs.outputFile(path.join(binDir, 'npm'), '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+
+    const { status } = run(['app', '--template', 'dashboard', '--no-git', '-p', 'npm'], {
+      PATH: `${binDir}${path.delimiter}${process.env.PATH}`,
+      CI: ''
+    });
+    assert.strictEqual(status, 0);
+    assert.ok(await fs.pathExists(path.join(tempDir, 'app/src/main.jsx')));
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { resolveOptions } = require('../lib/config');
+
+const defaults = { template: 'basic', typescript: false, tailwind: true, testing: 'none', lint: 'default' };
+
+const userConfig = {
+  label: '~/.reviterc',
+  values: { typescript: true, testing: 'vitest', lint: 'strict' },
+  presets: { work: { template: 'dashboard', lint: 'default' } }
+};
+
+const projectConfig = {
+  label: 'revite.config.json',
+  values: { lint: 'none' },
+  presets: {}
+};
+
+function resolve({ options = {}, provided = [], files = [userConfig, projectConfig], presetName } = {}) {
+  return resolveOptions({ options, provided: new Set(provided), files, presetName, defaults });
+}
+
+describe('resolveOptions', () => {
+  test('layers defaults, then config files in order', () => {
+    const { options, sources } = resolve();
+    assert.strictEqual(options.template, 'basic');
+    assert.strictEqual(sources.template, 'default');
+    assert.strictEqual(options.typescript, true);
+    assert.strictEqual(sources.typescript, '~/.reviterc');
+    assert.strictEqual(options.lint, 'none');
+    assert.strictEqual(sources.lint, 'revite.config.json');
+  });
+
+  test('offers config file values as defaults, but does not count them as answered', () => {
+    const { defaults: offered, provided } = resolve();
+    assert.strictEqual(offered.testing, 'vitest');
+    assert.strictEqual(provided.has('testing'), false);
+  });
+
+  test('applies a preset over the config files and counts it as answered', () => {
+    const { options, sources, defaults: offered, provided } = resolve({ presetName: 'work' });
+    assert.strictEqual(options.template, 'dashboard');
+    assert.strictEqual(options.lint, 'default');
+    assert.strictEqual(sources.lint, 'preset "work" (~/.reviterc)');
+    assert.strictEqual(offered.lint, 'none');
+    assert.deepStrictEqual([...provided].sort(), ['lint', 'template']);
+  });
+
+  test('lets the command line win over everything', () => {
+    const { options, sources } = resolve({
+      options: { template: 'blog', lint: 'strict', testing: 'none' },
+      provided: ['template', 'lint'],
+      presetName: 'work'
+    });
+    assert.strictEqual(options.template, 'blog');
+    assert.strictEqual(sources.template, 'command line');
+    assert.strictEqual(options.lint, 'strict');
+    // Commander defaults for options that were not typed do not count
+    assert.strictEqual(options.testing, 'vitest');
+  });
+
+  test('rejects an unknown preset', () => {
+    assert.throws(() => resolve({ presetName: 'missing' }), {
+      message: 'Unknown preset "missing". Available presets: work.',
+      exitCode: 2
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { afterEach, beforeEach, describe, test } = require('node:test');
+const assert = require('assert');
+const { createConflictHandler, resolveConflicts } = require('../lib/conflicts');
+const { createProject } = require('../lib/create-project');
+
+describe('resolveConflicts', () => {
+  const conflicts = [{ path: 'README.md', deleted: false }, { path: 'src/App.css', deleted: true }];
+
+  test('applies --on-conflict to every file', async () => {
+    assert.deepStrictEqual([...await resolveConflicts(conflicts, { action: 'backup' })], [['README.md', 'backup'], ['src/App.css', 'backup']]);
+  });
+
+  test('returns null for abort', async () => {
+    assert.strictEqual(await resolveConflicts(conflicts, { action: 'abort' }), null);
+  });
+
+  test('fails without an action when it cannot ask', async () => {
+    await assert.rejects(resolveConflicts(conflicts, { interactive: false }), {
+      message: '2 existing files would be overwritten or deleted: README.md, src/App.css. Pass --on-conflict overwrite, skip or backup to continue.',
+      exitCode: 2
+    });
+  });
+});
+
+describe('skipping existing files', () => {
+  let tempDir;
+  let projectPath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-test-'));
+    projectPath = path.join(tempDir, 'app');
+    await fs.ensureDir(projectPath);
+    await fs.writeJson(path.join(projectPath, 'package.json'), { name: 'mine', dependencies: { lodash: '^4.17.21', react: '^18.0.0' } });
+    await fs.writeFile(path.join(projectPath, 'index.html'), '<p>mine</p>\n');
+    await fs.writeFile(path.join(projectPath, 'README.md'), 'mine\n');
+  });
+
+  afterEach(() => fs.remove(tempDir));
+
+  test('backs up required files and merges package.json instead of keeping them as they are', async () => {
+    const conflicts = createConflictHandler(projectPath, new Map([['package.json', 'skip'], ['index.html', 'skip'], ['README.md', 'skip']]));
+    await conflicts.prepare();
+    assert.deepStrictEqual(conflicts.getReplacedFiles(), ['index.html']);
+    assert.deepStrictEqual(await conflicts.backUp(), ['index.html.bak']);
+
+    await fs.writeJson(path.join(projectPath, 'package.json'), {
+      name: 'generated',
+      type: 'module',
+      scripts: { dev: 'vite' },
+      dependencies: { react: '^19.1.1' },
+      devDependencies: { vite: '^7.1.7' }
+    });
+    await fs.writeFile(path.join(projectPath, 'index.html'), '<div id="root"></div>\n');
+    await fs.writeFile(path.join(projectPath, 'README.md'), 'generated\n');
+
+    assert.deepStrictEqual(await conflicts.restoreSkipped(), { kept: ['README.md'], merged: ['package.json'] });
+    assert.deepStrictEqual(await fs.readJson(path.join(projectPath, 'package.json')), {
+      name: 'mine',
+      dependencies: { lodash: '^4.17.21', react: '^19.1.1' },
+      type: 'module',
+      scripts: { dev: 'vite' },
+      devDependencies: { vite: '^7.1.7' }
+    });
+    assert.strictEqual(await fs.readFile(path.join(projectPath, 'index.html'), 'utf-8'), '<div id="root"></div>\n');
+    assert.strictEqual(await fs.readFile(path.join(projectPath, 'index.html.bak'), 'utf-8'), '<p>mine</p>\n');
+    assert.strictEqual(await fs.readFile(path.join(projectPath, 'README.md'), 'utf-8'), 'mine\n');
+  });
+
+  test('leaves a runnable project after --on-conflict skip', async () => {
+    const events = [];
+    await createProject({
+      directory: projectPath,
+      onConflict: 'skip',
+      install: false,
+      git: false,
+      stdio: 'ignore',
+      onProgress: event => events.push(event)
+    });
+
+    const packageJson = await fs.readJson(path.join(projectPath, 'package.json'));
+    assert.strictEqual(packageJson.name, 'mine');
+    assert.strictEqual(packageJson.dependencies.lodash, '^4.17.21');
+    assert.ok(packageJson.dependencies.tailwindcss);
+    assert.ok(packageJson.devDependencies.vite);
+    assert.strictEqual(packageJson.scripts.dev, 'vite');
+    assert.match(await fs.readFile(path.join(projectPath, 'index.html'), 'utf-8'), /src="\/src\/main\.jsx"/);
+    assert.strictEqual(await fs.readFile(path.join(projectPath, 'README.md'), 'utf-8'), 'mine\n');
+    assert.ok(events.some(event => event.type === 'message' && event.level === 'warning' && event.text.startsWith('Not keeping index.html:')));
+  });
+});
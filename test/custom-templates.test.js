@@ -0,0 +1,70 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { afterEach, beforeEach, describe, test } = require('node:test');
+const assert = require('assert');
+const { parseTemplateSpec } = require('../lib/custom-templates');
+const { createProject } = require('../lib/create-project');
+
+describe('parseTemplateSpec', () => {
+  test('resolves local paths against the working directory', () => {
+    assert.deepStrictEqual(parseTemplateSpec('./acme', '/work'), { type: 'local', path: path.resolve('/work', 'acme') });
+  });
+
+  test('expands hosted shorthands to git URLs with an optional ref', () => {
+    assert.deepStrictEqual(parseTemplateSpec('acme/starter', '/work'), { type: 'git', url: 'https://github.com/acme/starter.git', ref: null });
+    assert.deepStrictEqual(parseTemplateSpec('gitlab:acme/starter#v2', '/work'), { type: 'git', url: 'https://gitlab.com/acme/starter.git', ref: 'v2' });
+  });
+
+  test('keeps full git URLs as given', () => {
+    assert.deepStrictEqual(parseTemplateSpec('git+https://example.com/acme/starter.git#main'), { type: 'git', url: 'https://example.com/acme/starter.git', ref: 'main' });
+    assert.deepStrictEqual(parseTemplateSpec('git@github.com:acme/starter.git'), { type: 'git', url: 'git@github.com:acme/starter.git', ref: null });
+  });
+
+  test('rejects option-like refs and shell metacharacters', () => {
+    [
+      'acme/starter#--upload-pack=touch /tmp/pwned',
+      'https://example.com/acme/starter.git;touch /tmp/pwned',
+      'https://example.com/acme/$(touch /tmp/pwned).git',
+      'https://example.com/acme/starter.git#main`id`'
+    ].forEach(spec => assert.strictEqual(parseTemplateSpec(spec, '/work'), null, spec));
+  });
+});
+
+describe('custom templates with Tailwind', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-test-'));
+    await fs.outputJson(path.join(tempDir, 'acme/template.json'), { name: 'acme' });
+  });
+
+  afterEach(() => fs.remove(tempDir));
+
+  const scaffold = () => createProject({
+    directory: path.join(tempDir, 'app'),
+    template: path.join(tempDir, 'acme'),
+    install: false,
+    git: false,
+    lint: 'none',
+    stdio: 'ignore'
+  });
+
+  test("keeps the template's src/index.css below the Tailwind import", async () => {
+    await fs.outputFile(path.join(tempDir, 'acme/src/index.css'), '/* acme design system */\n:root {\n  --brand: #c00;\n}\n');
+    await scaffold();
+
+    assert.strictEqual(
+      await fs.readFile(path.join(tempDir, 'app/src/index.css'), 'utf-8'),
+      "@import 'tailwindcss';\n\n/* acme design system */\n:root {\n  --brand: #c00;\n}\n"
+    );
+  });
+
+  test('adds the import to the base styles without theme tokens', async () => {
+    await scaffold();
+
+    const css = await fs.readFile(path.join(tempDir, 'app/src/index.css'), 'utf-8');
+    assert.ok(css.startsWith("@import 'tailwindcss';\n\n"));
+    assert.doesNotMatch(css, /@theme|ThemeToggle/);
+  });
+});
@@ -0,0 +1,22 @@
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { checkNode } = require('../lib/doctor');
+
+describe('checkNode', () => {
+  test('fails below the version in engines', () => {
+    assert.strictEqual(checkNode('14.21.3').status, 'error');
+    assert.strictEqual(checkNode('16.12.0').status, 'error');
+  });
+
+  test('warns when create-revite runs, but Vite 7 would not', () => {
+    assert.strictEqual(checkNode('16.13.0').status, 'warning');
+    assert.strictEqual(checkNode('20.18.1').status, 'warning');
+    assert.strictEqual(checkNode('22.11.0').status, 'warning');
+  });
+
+  test('passes on versions Vite 7 supports', () => {
+    assert.strictEqual(checkNode('20.19.0').status, 'ok');
+    assert.strictEqual(checkNode('v22.12.0').status, 'ok');
+    assert.strictEqual(checkNode('24.0.0').status, 'ok');
+  });
+});
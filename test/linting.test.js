@@ -0,0 +1,54 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { afterEach, beforeEach, describe, test } = require('node:test');
+const assert = require('assert');
+const { createProject } = require('../lib/create-project');
+
+describe('--lint presets', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-test-'));
+  });
+
+  afterEach(() => fs.remove(tempDir));
+
+  const scaffold = (lint, options = {}) => createProject({
+    directory: path.join(tempDir, 'app'),
+    lint,
+    install: false,
+    git: false,
+    stdio: 'ignore',
+    ...options
+  });
+
+  test("none keeps create-vite's ESLint config and lint script", async () => {
+    await scaffold('none', { typescript: true });
+
+    const packageJson = await fs.readJson(path.join(tempDir, 'app/package.json'));
+    assert.strictEqual(packageJson.scripts.lint, 'eslint .');
+    assert.ok(packageJson.devDependencies.eslint);
+    assert.ok(packageJson.devDependencies['typescript-eslint']);
+    assert.strictEqual(packageJson.devDependencies.prettier, undefined);
+    assert.strictEqual(packageJson.scripts.format, undefined);
+
+    const eslintConfig = await fs.readFile(path.join(tempDir, 'app/eslint.config.js'), 'utf-8');
+    assert.doesNotMatch(eslintConfig, /prettier|tailwind/);
+    assert.strictEqual(await fs.pathExists(path.join(tempDir, 'app/.prettierrc.json')), false);
+  });
+
+  test('default adds Prettier and the Tailwind checks', async () => {
+    await scaffold('default');
+
+    const packageJson = await fs.readJson(path.join(tempDir, 'app/package.json'));
+    assert.strictEqual(packageJson.scripts['format:check'], 'prettier --check .');
+    assert.match(await fs.readFile(path.join(tempDir, 'app/eslint.config.js'), 'utf-8'), /eslint-plugin-better-tailwindcss/);
+    assert.deepStrictEqual(await fs.readJson(path.join(tempDir, 'app/.prettierrc.json')), {
+      semi: false,
+      singleQuote: true,
+      plugins: ['prettier-plugin-tailwindcss'],
+      tailwindStylesheet: './src/index.css'
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { detectPackageManager, detectProjectPackageManager } = require('../lib/package-managers');
+
+describe('detectPackageManager', () => {
+  test('reads the package manager from the user agent', () => {
+    assert.strictEqual(detectPackageManager('pnpm/10.4.1 npm/? node/v22.12.0 linux x64'), 'pnpm');
+    assert.strictEqual(detectPackageManager('yarn/1.22.22 npm/? node/v20.19.0 darwin arm64'), 'yarn');
+    assert.strictEqual(detectPackageManager('bun/1.2.4 npm/? node/v24.3.0 linux x64'), 'bun');
+    assert.strictEqual(detectPackageManager('npm/10.9.2 node/v22.12.0 win32 x64 workspaces/false'), 'npm');
+  });
+
+  test('falls back to npm without a known user agent', () => {
+    assert.strictEqual(detectPackageManager(''), 'npm');
+    assert.strictEqual(detectPackageManager('cnpm/9.4.0 node/v20.19.0'), 'npm');
+  });
+});
+
+describe('detectProjectPackageManager', () => {
+  test('goes by the lockfile', async () => {
+    const projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-test-'));
+    try {
+      await fs.writeFile(path.join(projectPath, 'pnpm-lock.yaml'), '');
+      assert.strictEqual(await detectProjectPackageManager(projectPath), 'pnpm');
+    } finally {
+      await fs.remove(projectPath);
+    }
+  });
+});
@@ -0,0 +1,43 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { afterEach, beforeEach, describe, test } = require('node:test');
+const assert = require('assert');
+const { applyTesting, getTestingFiles } = require('../lib/testing');
+
+describe('getTestingFiles', () => {
+  test('adds the starter tests of a built-in template to setupTests', async () => {
+    const files = await getTestingFiles('basic', { typescript: true });
+    assert.deepStrictEqual(Object.keys(files).sort(), ['src/App.test.tsx', 'src/setupTests.ts']);
+  });
+
+  test('gives custom templates only setupTests', async () => {
+    const files = await getTestingFiles({ path: '/templates/acme' });
+    assert.deepStrictEqual(Object.keys(files), ['src/setupTests.js']);
+  });
+});
+
+describe('applyTesting', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-test-'));
+    await fs.writeJson(path.join(projectPath, 'package.json'), { scripts: { dev: 'vite' }, devDependencies: { vite: '^7.0.0' } });
+    await fs.writeFile(path.join(projectPath, 'vite.config.js'), "import { defineConfig } from 'vite'\n\nexport default defineConfig({\n  plugins: [],\n})\n");
+  });
+
+  afterEach(() => fs.remove(projectPath));
+
+  test('writes the test files, the test script and the Vitest config', async () => {
+    await applyTesting(projectPath, 'dashboard');
+
+    const packageJson = await fs.readJson(path.join(projectPath, 'package.json'));
+    assert.deepStrictEqual(packageJson.scripts, { dev: 'vite', test: 'vitest' });
+    assert.ok(packageJson.devDependencies.vitest);
+    assert.strictEqual(packageJson.devDependencies.vite, '^7.0.0');
+
+    assert.ok(await fs.pathExists(path.join(projectPath, 'src/setupTests.js')));
+    assert.ok(await fs.pathExists(path.join(projectPath, 'src/pages/Stats.test.jsx')));
+    assert.match(await fs.readFile(path.join(projectPath, 'vite.config.js'), 'utf-8'), /test: \{ environment: 'jsdom', setupFiles: '\.\/src\/setupTests\.js' \}/);
+  });
+});
@@ -0,0 +1,37 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { afterEach, beforeEach, describe, test } = require('node:test');
+const assert = require('assert');
+const { createProject } = require('../lib/create-project');
+const { getThemeCss } = require('../lib/theme');
+
+describe('getThemeCss', () => {
+  test('uses the primary color over the theme', () => {
+    assert.match(getThemeCss({ theme: 'default', primary: 'violet' }), /Theme "default" with primary violet/);
+  });
+});
+
+describe('--theme and --primary', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-test-'));
+  });
+
+  afterEach(() => fs.remove(tempDir));
+
+  test('warn that they have no effect with --no-tailwind', async () => {
+    const result = await createProject({
+      directory: path.join(tempDir, 'app'),
+      tailwind: false,
+      primary: 'violet',
+      install: false,
+      git: false,
+      stdio: 'ignore'
+    });
+    assert.deepStrictEqual(result.messages.filter(message => message.level === 'warning'), [
+      { level: 'warning', text: '--theme and --primary set Tailwind color tokens, so they have no effect with --no-tailwind.' }
+    ]);
+  });
+});
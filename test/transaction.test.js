@@ -0,0 +1,65 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { afterEach, beforeEach, describe, test } = require('node:test');
+const assert = require('assert');
+const { createTransaction } = require('../lib/transaction');
+
+describe('createTransaction', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-test-'));
+  });
+
+  afterEach(() => fs.remove(tempDir));
+
+  test('removes a directory that did not exist before', async () => {
+    const projectPath = path.join(tempDir, 'app');
+    const transaction = createTransaction(projectPath);
+    await transaction.begin();
+    await fs.outputFile(path.join(projectPath, 'src/main.jsx'), '');
+
+    await transaction.rollback();
+    assert.strictEqual(await fs.pathExists(projectPath), false);
+  });
+
+  test('restores tracked files and removes what was added in an existing directory', async () => {
+    await fs.outputFile(path.join(tempDir, 'package.json'), '{"name":"mine"}');
+    await fs.outputFile(path.join(tempDir, 'notes.md'), 'keep me');
+    const transaction = createTransaction(tempDir);
+    await transaction.begin();
+    await transaction.track(['package.json', 'src/components/Header.jsx']);
+
+    await fs.outputFile(path.join(tempDir, 'package.json'), '{"name":"generated"}');
+    await fs.outputFile(path.join(tempDir, 'src/components/Header.jsx'), '');
+    await fs.outputFile(path.join(tempDir, 'node_modules/vite/package.json'), '{}');
+
+    await transaction.rollback();
+    assert.deepStrictEqual((await fs.readdir(tempDir)).sort(), ['notes.md', 'package.json']);
+    assert.strictEqual(await fs.readFile(path.join(tempDir, 'package.json'), 'utf-8'), '{"name":"mine"}');
+    assert.strictEqual(await fs.readFile(path.join(tempDir, 'notes.md'), 'utf-8'), 'keep me');
+  });
+
+  test('keeps directories that existed before', async () => {
+    await fs.outputFile(path.join(tempDir, 'src/legacy.js'), '');
+    const transaction = createTransaction(tempDir);
+    await transaction.begin();
+    await transaction.track(['src/main.jsx', 'src/pages/Home.jsx']);
+    await fs.outputFile(path.join(tempDir, 'src/main.jsx'), '');
+    await fs.outputFile(path.join(tempDir, 'src/pages/Home.jsx'), '');
+
+    await transaction.rollback();
+    assert.deepStrictEqual(await fs.readdir(path.join(tempDir, 'src')), ['legacy.js']);
+  });
+
+  test('rolls back once when called twice', async () => {
+    const projectPath = path.join(tempDir, 'app');
+    const transaction = createTransaction(projectPath);
+    await transaction.begin();
+    await fs.ensureDir(projectPath);
+
+    await Promise.all([transaction.rollback(), transaction.rollback()]);
+    assert.strictEqual(await fs.pathExists(projectPath), false);
+  });
+});
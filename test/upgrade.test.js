@@ -0,0 +1,65 @@
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { mergeJson } = require('../lib/upgrade');
+
+describe('mergeJson', () => {
+  test('takes what the template changed when the project did not touch it', () => {
+    const original = { scripts: { build: 'vite build' } };
+    const theirs = { scripts: { build: 'tsc -b && vite build' } };
+    assert.deepStrictEqual(mergeJson(original, original, theirs), { value: theirs, conflicts: [] });
+  });
+
+  test('keeps what the project changed when the template did not touch it', () => {
+    const original = { scripts: { build: 'vite build' } };
+    const ours = { scripts: { build: 'vite build --mode staging' } };
+    assert.deepStrictEqual(mergeJson(ours, original, original), { value: ours, conflicts: [] });
+  });
+
+  test('merges changes to different keys', () => {
+    const original = { name: 'app', scripts: { dev: 'vite', build: 'vite build' } };
+    const ours = { name: 'app', scripts: { dev: 'vite --host', build: 'vite build' } };
+    const theirs = { name: 'app', scripts: { dev: 'vite', build: 'tsc -b && vite build', lint: 'eslint .' } };
+    assert.deepStrictEqual(mergeJson(ours, original, theirs), {
+      value: { name: 'app', scripts: { dev: 'vite --host', build: 'tsc -b && vite build', lint: 'eslint .' } },
+      conflicts: []
+    });
+  });
+
+  test('keeps the project order of keys', () => {
+    const original = { b: 1, a: 1 };
+    const ours = { a: 1, b: 1 };
+    const theirs = { b: 2, a: 1 };
+    assert.deepStrictEqual(Object.keys(mergeJson(ours, original, theirs).value), ['a', 'b']);
+  });
+
+  test('removes keys the template removed', () => {
+    const original = { scripts: { dev: 'vite', preview: 'vite preview' } };
+    const ours = { scripts: { dev: 'vite --host', preview: 'vite preview' } };
+    const theirs = { scripts: { dev: 'vite' } };
+    assert.deepStrictEqual(mergeJson(ours, original, theirs).value, { scripts: { dev: 'vite --host' } });
+  });
+
+  test('treats reordered keys as unchanged', () => {
+    const original = { scripts: { dev: 'vite', build: 'vite build' } };
+    const ours = { scripts: { build: 'vite build', dev: 'vite' } };
+    const theirs = { scripts: { dev: 'vite', build: 'tsc -b && vite build' } };
+    assert.deepStrictEqual(mergeJson(ours, original, theirs), {
+      value: { scripts: { build: 'tsc -b && vite build', dev: 'vite' } },
+      conflicts: []
+    });
+  });
+
+  test('reports keys both sides changed, keeping the project value', () => {
+    const original = { scripts: { build: 'vite build' }, type: 'module' };
+    const ours = { scripts: { build: 'vite build --mode staging' }, type: 'module' };
+    const theirs = { scripts: { build: 'tsc -b && vite build' }, type: 'module' };
+    assert.deepStrictEqual(mergeJson(ours, original, theirs), { value: ours, conflicts: ['scripts.build'] });
+  });
+
+  test('compares arrays as whole values', () => {
+    const original = { files: ['dist'] };
+    const ours = { files: ['dist', 'docs'] };
+    const theirs = { files: ['dist', 'types'] };
+    assert.deepStrictEqual(mergeJson(ours, original, theirs).conflicts, ['files']);
+  });
+});
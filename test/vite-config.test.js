@@ -0,0 +1,82 @@
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { transformViteConfig } = require('../lib/vite-config');
+const { configureTailwind } = require('../lib/tailwind');
+const { configureVitest } = require('../lib/testing');
+
+const viteConfig = `import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// https://vite.dev/config/
+export default defineConfig({
+  plugins: [react()],
+})
+`;
+
+describe('transformViteConfig', () => {
+  test('adds a plugin and its import', () => {
+    assert.strictEqual(transformViteConfig(viteConfig, configureTailwind), `import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import tailwindcss from '@tailwindcss/vite'
+
+// https://vite.dev/config/
+export default defineConfig({
+  plugins: [react(), tailwindcss()],
+})
+`);
+  });
+
+  test('leaves a config that already uses the plugin unchanged', () => {
+    const configured = transformViteConfig(viteConfig, configureTailwind);
+    assert.strictEqual(transformViteConfig(configured, configureTailwind), configured);
+  });
+
+  test('reuses an existing import under its local name', () => {
+    const source = `import { defineConfig } from 'vite'
+import tw from '@tailwindcss/vite'
+
+export default defineConfig({
+  plugins: [tw()],
+})
+`;
+    assert.strictEqual(transformViteConfig(source, configureTailwind), source);
+  });
+
+  test('edits the object returned from a config function', () => {
+    const source = `import { defineConfig } from 'vite'
+
+export default defineConfig(() => ({
+  plugins: [],
+}))
+`;
+    assert.match(transformViteConfig(source, configureTailwind), /plugins: \[tailwindcss\(\)\]/);
+  });
+
+  test('sets a property with a type reference for Vitest', () => {
+    assert.strictEqual(transformViteConfig(viteConfig, config => configureVitest(config, { typescript: true }), 'vite.config.ts'), `/// <reference types="vitest/config" />
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// https://vite.dev/config/
+export default defineConfig({
+  plugins: [react()],
+  test: { environment: 'jsdom', setupFiles: './src/setupTests.ts' },
+})
+`);
+  });
+
+  test('keeps an existing property unless told to overwrite it', () => {
+    const source = transformViteConfig(viteConfig, config => config.setProperty(['base'], "'/app/'"));
+    assert.match(source, /base: '\/app\/'/);
+    assert.strictEqual(transformViteConfig(source, config => config.setProperty(['base'], "'/other/'")), source);
+    assert.match(transformViteConfig(source, config => config.setProperty(['base'], "'/other/'", { overwrite: true })), /base: '\/other\/'/);
+  });
+
+  test('fails on configs it cannot edit safely', () => {
+    assert.throws(() => transformViteConfig('const config = {}\n', configureTailwind), /no default export found/);
+    assert.throws(
+      () => transformViteConfig('export default defineConfig({ plugins: getPlugins() })\n', configureTailwind),
+      /"plugins" is not an array literal/
+    );
+  });
+});
@@ -0,0 +1,63 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { afterEach, beforeEach, describe, test } = require('node:test');
+const assert = require('assert');
+const { findWorkspace, isRegistered, registerWorkspacePackage } = require('../lib/workspace');
+
+describe('isRegistered', () => {
+  test('matches one directory level per *', () => {
+    assert.strictEqual(isRegistered(['apps/*'], 'apps/web'), true);
+    assert.strictEqual(isRegistered(['apps/*'], 'apps/web/admin'), false);
+    assert.strictEqual(isRegistered(['apps/*'], 'packages/web'), false);
+  });
+
+  test('matches any depth with **', () => {
+    assert.strictEqual(isRegistered(['apps/**'], 'apps/web/admin'), true);
+    assert.strictEqual(isRegistered(['**'], 'web'), true);
+  });
+
+  test('ignores ./ prefixes and trailing slashes', () => {
+    assert.strictEqual(isRegistered(['./apps/*/'], 'apps/web'), true);
+    assert.strictEqual(isRegistered(['apps/web'], 'apps/web'), true);
+  });
+
+  test('takes dots in globs literally', () => {
+    assert.strictEqual(isRegistered(['apps/web.v2'], 'apps/webxv2'), false);
+  });
+
+  test('honors ! exclusions', () => {
+    assert.strictEqual(isRegistered(['apps/*', '!apps/legacy'], 'apps/legacy'), false);
+    assert.strictEqual(isRegistered(['apps/*', '!apps/legacy'], 'apps/web'), true);
+  });
+});
+
+describe('registerWorkspacePackage', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'create-revite-test-'));
+  });
+
+  afterEach(() => fs.remove(root));
+
+  test('adds the project to pnpm-workspace.yaml, keeping comments', async () => {
+    await fs.writeFile(path.join(root, 'pnpm-workspace.yaml'), '# shared packages\npackages:\n  - packages/*\n');
+    const workspace = await findWorkspace(path.join(root, 'apps/web'));
+    assert.strictEqual(workspace.directory, 'apps/web');
+    assert.strictEqual(workspace.packageManager, 'pnpm');
+
+    assert.strictEqual(await registerWorkspacePackage(workspace), 'pnpm-workspace.yaml');
+    assert.strictEqual(await fs.readFile(path.join(root, 'pnpm-workspace.yaml'), 'utf-8'), '# shared packages\npackages:\n  - packages/*\n  - apps/web\n');
+  });
+
+  test('leaves package.json workspaces alone when a glob already covers the project', async () => {
+    await fs.writeJson(path.join(root, 'package.json'), { private: true, workspaces: ['apps/*'] });
+    await fs.writeFile(path.join(root, 'yarn.lock'), '');
+    const workspace = await findWorkspace(path.join(root, 'apps/web'));
+    assert.strictEqual(workspace.packageManager, 'yarn');
+
+    assert.strictEqual(await registerWorkspacePackage(workspace), null);
+    assert.deepStrictEqual(await fs.readJson(path.join(root, 'package.json')), { private: true, workspaces: ['apps/*'] });
+  });
+});